@@ -0,0 +1,360 @@
+/**
+ * Background service worker for the Muḥāthin extension
+ * Migrates stored settings, broadcasts the on/off state to every tab, runs
+ * keyboard shortcuts and right-click menu entries, adds up the stats
+ * reported by each frame of a tab and collects their diagnostics
+ */
+
+importScripts("settings.js");
+
+let lastEnabled = null;
+
+// Per-frame stats live in session storage under "frameStats:<tabId>:<frameId>"
+// so they survive the service worker being suspended
+const FRAME_STATS_PREFIX = "frameStats:";
+
+/**
+ * Send the on/off state to the content scripts of every open tab
+ * @param {boolean} enabled - Whether the corrector is enabled
+ */
+function broadcastState(enabled) {
+  chrome.tabs.query({}, (tabs) => {
+    tabs.forEach((tab) => {
+      if (!tab.id) return;
+
+      chrome.tabs.sendMessage(
+        tab.id,
+        { action: enabled ? "enable" : "disable" },
+        () => {
+          // Tabs without the content script (chrome:// pages, the Web Store)
+          // have nobody listening; that's expected.
+          void chrome.runtime.lastError;
+        }
+      );
+    });
+  });
+}
+
+/**
+ * (Re)create the right-click menu entries
+ * @param {Object} settings - Normalized settings
+ */
+function setupContextMenus(settings) {
+  chrome.contextMenus.removeAll(() => {
+    const menus = [
+      {
+        id: "make-rtl",
+        title: "جعل الاتجاه من اليمين لليسار",
+        contexts: ["selection"],
+      },
+      {
+        id: "make-ltr",
+        title: "جعل الاتجاه من اليسار لليمين",
+        contexts: ["selection"],
+      },
+      {
+        id: "exclude-element",
+        title: "استثناء هذا العنصر على هذا الموقع",
+        contexts: ["selection"],
+      },
+      {
+        id: "toggle-field-direction",
+        title: "تبديل اتجاه النص",
+        contexts: ["editable"],
+      },
+      {
+        id: "persist-separator",
+        type: "separator",
+        contexts: ["selection", "editable"],
+      },
+      {
+        id: "persist-context-actions",
+        title: "تذكّر الاتجاه على هذا الموقع",
+        type: "checkbox",
+        checked: settings.persistContextActions,
+        contexts: ["selection", "editable"],
+      },
+    ];
+
+    menus.forEach((menu) => chrome.contextMenus.create(menu));
+  });
+}
+
+/**
+ * Load settings, migrating legacy keys, and remember the current state
+ */
+function initializeState() {
+  MuhathinSettings.load().then((settings) => {
+    lastEnabled = settings.enabled;
+    setupContextMenus(settings);
+  });
+}
+
+chrome.runtime.onInstalled.addListener(initializeState);
+chrome.runtime.onStartup.addListener(initializeState);
+
+MuhathinSettings.onChange((settings) => {
+  // Keep the menu checkbox in line with the options page
+  chrome.contextMenus.update(
+    "persist-context-actions",
+    { checked: settings.persistContextActions },
+    () => void chrome.runtime.lastError
+  );
+
+  if (settings.enabled === lastEnabled) return;
+
+  lastEnabled = settings.enabled;
+  broadcastState(settings.enabled);
+});
+
+/**
+ * Run a keyboard shortcut declared under "commands" in the manifest
+ * @param {string} command - Command name
+ * @param {chrome.tabs.Tab} [tab] - Tab that was active when it was pressed
+ */
+function handleCommand(command, tab) {
+  const sendToTab = (message) => {
+    if (!tab || !tab.id) return;
+    chrome.tabs.sendMessage(tab.id, message, () => {
+      void chrome.runtime.lastError;
+    });
+  };
+
+  switch (command) {
+    case "toggle-corrector":
+      // The settings change is broadcast to every tab by onChange above
+      MuhathinSettings.load()
+        .then((settings) =>
+          MuhathinSettings.update({ enabled: !settings.enabled })
+        )
+        .catch((error) => console.error("Error toggling corrector:", error));
+      break;
+    case "rescan-page":
+      sendToTab({ action: "rescan" });
+      break;
+    case "force-rtl":
+      sendToTab({ action: "forceDirection", direction: "rtl" });
+      break;
+    case "force-ltr":
+      sendToTab({ action: "forceDirection", direction: "ltr" });
+      break;
+    default:
+      break;
+  }
+}
+
+chrome.commands.onCommand.addListener(handleCommand);
+
+/**
+ * Send a right-click menu choice to the frame it was made in
+ * @param {Object} info - chrome.contextMenus.OnClickData
+ * @param {chrome.tabs.Tab} [tab] - Tab the menu was opened in
+ */
+function handleContextMenuClick(info, tab) {
+  if (info.menuItemId === "persist-context-actions") {
+    MuhathinSettings.update({ persistContextActions: info.checked }).catch(
+      (error) => console.error("Error saving menu preference:", error)
+    );
+    return;
+  }
+
+  if (!tab || !tab.id) return;
+
+  MuhathinSettings.load().then((settings) => {
+    chrome.tabs.sendMessage(
+      tab.id,
+      {
+        action: "contextMenuAction",
+        command: info.menuItemId,
+        persist: settings.persistContextActions,
+      },
+      { frameId: info.frameId || 0 },
+      () => void chrome.runtime.lastError
+    );
+  });
+}
+
+chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+
+/**
+ * Store the stats reported by one frame
+ * @param {number} tabId - Tab the frame belongs to
+ * @param {number} frameId - Frame within the tab
+ * @param {Object} stats - Result of ArabicRTLCorrector#getStats()
+ * @returns {Promise}
+ */
+function saveFrameStats(tabId, frameId, stats) {
+  return chrome.storage.session.set({
+    [`${FRAME_STATS_PREFIX}${tabId}:${frameId}`]: stats,
+  });
+}
+
+/**
+ * Storage keys of the frame stats for a tab
+ * @param {number} tabId - Tab id
+ * @returns {Promise<Array<string>>}
+ */
+async function getFrameStatsKeys(tabId) {
+  const all = await chrome.storage.session.get(null);
+  const prefix = `${FRAME_STATS_PREFIX}${tabId}:`;
+  return Object.keys(all).filter((key) => key.startsWith(prefix));
+}
+
+/**
+ * Forget stored stats for a tab, or for one of its frames
+ * @param {number} tabId - Tab id
+ * @param {number} [frameId] - Only this frame
+ * @returns {Promise}
+ */
+async function clearFrameStats(tabId, frameId) {
+  const keys =
+    frameId === undefined
+      ? await getFrameStatsKeys(tabId)
+      : [`${FRAME_STATS_PREFIX}${tabId}:${frameId}`];
+
+  if (keys.length) {
+    await chrome.storage.session.remove(keys);
+  }
+}
+
+/**
+ * Combine the stats of every frame in a tab
+ * @param {number} tabId - Tab id
+ * @returns {Promise<Object>} Stats in the shape of getStats(), plus frame count
+ */
+async function getTabStats(tabId) {
+  const keys = await getFrameStatsKeys(tabId);
+  const stored = keys.length ? await chrome.storage.session.get(keys) : {};
+
+  const stats = {
+    totalProcessed: 0,
+    averageArabicRatio: 0,
+    elementTypes: {},
+    scripts: {},
+    reasons: {},
+    frames: keys.length,
+  };
+
+  let totalRatio = 0;
+  Object.values(stored).forEach((frameStats) => {
+    const processed = frameStats.totalProcessed || 0;
+    stats.totalProcessed += processed;
+    totalRatio += (frameStats.averageArabicRatio || 0) * processed;
+
+    Object.entries(frameStats.elementTypes || {}).forEach(([tag, count]) => {
+      stats.elementTypes[tag] = (stats.elementTypes[tag] || 0) + count;
+    });
+
+    Object.entries(frameStats.scripts || {}).forEach(([script, count]) => {
+      stats.scripts[script] = (stats.scripts[script] || 0) + count;
+    });
+
+    Object.entries(frameStats.reasons || {}).forEach(([reason, count]) => {
+      stats.reasons[reason] = (stats.reasons[reason] || 0) + count;
+    });
+  });
+
+  stats.averageArabicRatio =
+    stats.totalProcessed > 0
+      ? parseFloat((totalRatio / stats.totalProcessed).toFixed(2))
+      : 0;
+
+  return stats;
+}
+
+/**
+ * Ask every frame of a tab that reported stats for its diagnostics
+ * @param {number} tabId - Tab id
+ * @returns {Promise<Array<Object>>} Diagnostics of each frame that answered,
+ *   with its frameId, top frame first
+ */
+async function getTabDiagnostics(tabId) {
+  const keys = await getFrameStatsKeys(tabId);
+  const frameIds = keys.map((key) => Number(key.split(":").pop()));
+  if (!frameIds.includes(0)) frameIds.push(0);
+  frameIds.sort((a, b) => a - b);
+
+  const frames = await Promise.all(
+    frameIds.map(
+      (frameId) =>
+        new Promise((resolve) => {
+          chrome.tabs.sendMessage(
+            tabId,
+            { action: "getDiagnostics" },
+            { frameId },
+            (response) => {
+              // Frames that went away or never ran the corrector are left out
+              if (
+                chrome.runtime.lastError ||
+                !response ||
+                !response.diagnostics
+              ) {
+                resolve(null);
+                return;
+              }
+              resolve({ frameId, ...response.diagnostics });
+            }
+          );
+        })
+    )
+  );
+
+  return frames.filter(Boolean);
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  switch (message.action) {
+    case "reportFrameStats":
+      if (sender.tab) {
+        saveFrameStats(sender.tab.id, sender.frameId, message.stats).catch(
+          (error) => console.error("Error saving frame stats:", error)
+        );
+      }
+      sendResponse({ success: true });
+      return false;
+    case "clearFrameStats":
+      if (sender.tab) {
+        clearFrameStats(sender.tab.id, sender.frameId).catch((error) =>
+          console.error("Error clearing frame stats:", error)
+        );
+      }
+      sendResponse({ success: true });
+      return false;
+    case "stopPicker":
+      // The picker closed in one frame; close it in the rest of the tab
+      if (sender.tab) {
+        chrome.tabs.sendMessage(sender.tab.id, { action: "stopPicker" }, () => {
+          void chrome.runtime.lastError;
+        });
+      }
+      sendResponse({ success: true });
+      return false;
+    case "getTabStats":
+      getTabStats(message.tabId)
+        .then((stats) => sendResponse({ success: true, stats }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true; // Respond asynchronously
+    case "getTabDiagnostics":
+      getTabDiagnostics(message.tabId)
+        .then((frames) => sendResponse({ success: true, frames }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+    default:
+      return false;
+  }
+});
+
+// A new page in the tab starts with a clean slate
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === "loading") {
+    clearFrameStats(tabId).catch((error) =>
+      console.error("Error clearing frame stats:", error)
+    );
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearFrameStats(tabId).catch((error) =>
+    console.error("Error clearing frame stats:", error)
+  );
+});
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * muhathin-fix: add dir attributes and <bdi> wrappers to static HTML
+ *
+ *   muhathin-fix --write docs/
+ *   muhathin-fix --out-dir dist/ templates/ index.html
+ *   muhathin-fix --dry-run --dir auto emails/
+ *
+ * Directories are searched recursively for .html and .htm files.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const RTLDetector = require("../core/detection.js");
+const { fixHTML, createDiff } = require("../cli/fix-html.js");
+
+const HTML_EXTENSIONS = [".html", ".htm"];
+
+const USAGE = `Usage: muhathin-fix [options] <file|directory>...
+
+Adds dir attributes and <bdi> wrappers where RTL text is detected.
+
+Output (choose one):
+  --write              Rewrite files in place
+  --out-dir <dir>      Write fixed copies to <dir>, keeping relative paths
+  --dry-run            Print a unified diff and change nothing
+
+Options:
+  --dir <rtl|auto>     Attribute value to add (default: rtl)
+  --no-bdi             Don't wrap runs in the other direction in <bdi>
+  --threshold <n>      Share of RTL letters that makes text RTL (default: 0.3)
+  --strategy <name>    ${RTLDetector.STRATEGIES.join(", ")} (default: ratio)
+  --scripts <list>     Comma-separated scripts to detect (default: all)
+                       ${Object.keys(RTLDetector.SCRIPTS).join(", ")}
+  -h, --help           Show this help
+`;
+
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} args - process.argv without node and the script
+ * @returns {Object} Parsed options with a paths list
+ */
+function parseArgs(args) {
+  const options = { paths: [], fix: { dir: "rtl", bdi: true } };
+  const next = (flag) => {
+    const value = args.shift();
+    if (value === undefined) {
+      throw new UsageError(`${flag} needs a value`);
+    }
+    return value;
+  };
+
+  while (args.length) {
+    const arg = args.shift();
+    switch (arg) {
+      case "-h":
+      case "--help":
+        options.help = true;
+        break;
+      case "--write":
+        options.write = true;
+        break;
+      case "--dry-run":
+        options.dryRun = true;
+        break;
+      case "--out-dir":
+        options.outDir = next(arg);
+        break;
+      case "--dir":
+        options.fix.dir = next(arg);
+        if (!["rtl", "auto"].includes(options.fix.dir)) {
+          throw new UsageError("--dir must be rtl or auto");
+        }
+        break;
+      case "--no-bdi":
+        options.fix.bdi = false;
+        break;
+      case "--threshold":
+        options.fix.threshold = Number(next(arg));
+        if (!(options.fix.threshold > 0 && options.fix.threshold <= 1)) {
+          throw new UsageError("--threshold must be between 0 and 1");
+        }
+        break;
+      case "--strategy":
+        options.fix.strategy = next(arg);
+        if (!RTLDetector.STRATEGIES.includes(options.fix.strategy)) {
+          throw new UsageError(`Unknown strategy: ${options.fix.strategy}`);
+        }
+        break;
+      case "--scripts":
+        options.fix.enabledScripts = next(arg)
+          .split(",")
+          .map((script) => script.trim())
+          .filter(Boolean);
+        options.fix.enabledScripts.forEach((script) => {
+          if (!RTLDetector.SCRIPTS[script]) {
+            throw new UsageError(`Unknown script: ${script}`);
+          }
+        });
+        break;
+      default:
+        if (arg.startsWith("-")) {
+          throw new UsageError(`Unknown option: ${arg}`);
+        }
+        options.paths.push(arg);
+    }
+  }
+
+  if (options.help) return options;
+
+  const modes = [options.write, options.dryRun, options.outDir].filter(Boolean);
+  if (modes.length !== 1) {
+    throw new UsageError("Choose one of --write, --out-dir or --dry-run");
+  }
+  if (!options.paths.length) {
+    throw new UsageError("No files or directories given");
+  }
+
+  return options;
+}
+
+/**
+ * HTML files under an argument, with paths relative to it for --out-dir
+ * @param {string} input - File or directory
+ * @returns {Array<{file: string, relative: string}>}
+ */
+function collectFiles(input) {
+  if (!fs.statSync(input).isDirectory()) {
+    return [{ file: input, relative: path.basename(input) }];
+  }
+
+  const files = [];
+  const walk = (directory) => {
+    fs.readdirSync(directory, { withFileTypes: true }).forEach((entry) => {
+      if (entry.name.startsWith(".") || entry.name === "node_modules") return;
+
+      const file = path.join(directory, entry.name);
+      const extension = path.extname(entry.name).toLowerCase();
+      if (entry.isDirectory()) {
+        walk(file);
+      } else if (HTML_EXTENSIONS.includes(extension)) {
+        files.push({ file, relative: path.relative(input, file) });
+      }
+    });
+  };
+  walk(input);
+
+  return files.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {number} Exit code
+ */
+function main(args) {
+  let options;
+  try {
+    options = parseArgs(args.slice());
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`muhathin-fix: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  let failed = false;
+  let changedFiles = 0;
+
+  // --out-dir target of each file written so far; file arguments keep only
+  // their name, so a/index.html and b/index.html would land on one file
+  const targets = new Map();
+
+  options.paths.forEach((input) => {
+    let files;
+    try {
+      files = collectFiles(input);
+    } catch (error) {
+      console.error(`muhathin-fix: ${input}: ${error.message}`);
+      failed = true;
+      return;
+    }
+
+    files.forEach(({ file, relative }) => {
+      try {
+        const target = options.outDir && path.join(options.outDir, relative);
+        if (target && targets.has(target)) {
+          throw new Error(
+            `${target} is already written from ${targets.get(target)}`
+          );
+        }
+        if (target) targets.set(target, file);
+
+        const source = fs.readFileSync(file, "utf8");
+        const { output, changes } = fixHTML(source, options.fix);
+        const changed = output !== source;
+        if (changed) changedFiles++;
+
+        if (options.dryRun) {
+          process.stdout.write(createDiff(file, source, output));
+        } else if (options.outDir) {
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          fs.writeFileSync(target, output);
+        } else if (changed) {
+          fs.writeFileSync(file, output);
+        }
+
+        if (changed) {
+          console.error(`${file}: ${changes.dir} dir, ${changes.bdi} bdi`);
+        }
+      } catch (error) {
+        console.error(`muhathin-fix: ${file}: ${error.message}`);
+        failed = true;
+      }
+    });
+  });
+
+  const verb = options.dryRun ? "would change" : "changed";
+  console.error(`${changedFiles} file(s) ${verb}`);
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs };
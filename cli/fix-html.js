@@ -0,0 +1,353 @@
+/**
+ * Static HTML fixer
+ *
+ * Applies the corrector's direction rules to HTML source at build time: adds
+ * dir attributes to elements RTLDetector finds RTL and wraps runs written in
+ * the other direction in <bdi>, so pages read correctly without the
+ * extension. Edits are spliced into the original source; formatting, entities
+ * and comments elsewhere in the file are left exactly as written.
+ */
+
+const { JSDOM } = require("jsdom");
+const RTLDetector = require("../core/detection.js");
+
+// Never given a dir attribute
+const SKIP_SELECTOR = [
+  ...RTLDetector.SKIP_SELECTORS,
+  "head",
+  "template",
+  "svg",
+  "math",
+].join(", ");
+
+// Text inside these is never split into runs
+const ISOLATION_SKIP_SELECTOR = [
+  SKIP_SELECTOR,
+  "kbd",
+  "samp",
+  "var",
+  "bdi",
+  "bdo",
+  "textarea",
+  "select",
+  "option",
+  "title",
+  "[contenteditable]",
+].join(", ");
+
+// A block must directly own at least this share of its text, as in the
+// corrector's text-block heuristic
+const MIN_OWNED_TEXT_RATIO = 0.5;
+
+const INLINE_TAGS = new Set(RTLDetector.INLINE_TAGS);
+
+/**
+ * Add dir attributes and <bdi> wrappers to an HTML document or fragment
+ * @param {string} source - HTML source
+ * @param {Object} [options]
+ * @param {string} [options.dir="rtl"] - "rtl", or "auto" to let the browser
+ *   decide from the first strong letter
+ * @param {boolean} [options.bdi=true] - Wrap runs in the other direction
+ * @param {Array<string>} [options.enabledScripts] - RTLDetector option
+ * @param {number} [options.threshold] - RTLDetector option
+ * @param {string} [options.strategy] - RTLDetector option
+ * @returns {{output: string, changes: {dir: number, bdi: number}}}
+ */
+function fixHTML(source, options = {}) {
+  const settings = { dir: "rtl", bdi: true, ...options };
+  const detector = new RTLDetector({
+    enabledScripts: settings.enabledScripts,
+    threshold: settings.threshold,
+    strategy: settings.strategy,
+  });
+
+  const dom = new JSDOM(source, { includeNodeLocations: true });
+  const { document } = dom.window;
+
+  const edits = [];
+  const changes = { dir: 0, bdi: 0 };
+  const isolatedNodes = new Set();
+
+  getTargetElements(document).forEach((element) => {
+    const location = dom.nodeLocation(element);
+    if (!location || !location.startTag) return;
+
+    const text = getElementText(element);
+    if (!text || text.trim().length < 3) return;
+
+    const decision = detector.detect(text, { tagName: element.tagName });
+
+    // An explicit dir from the page author always wins
+    if (decision.isRTL && !element.hasAttribute("dir")) {
+      const value = settings.dir === "auto" ? "auto" : "rtl";
+      const inherited = getDirection(element.parentElement, detector);
+      if (value === "auto" || inherited !== "rtl") {
+        const offset =
+          location.startTag.startOffset + 1 + element.localName.length;
+        edits.push({ start: offset, end: offset, text: ` dir="${value}"` });
+        element.setAttribute("dir", value);
+        changes.dir++;
+      }
+    }
+
+    if (settings.bdi && decision.ratio > 0) {
+      getTextNodes(element).forEach((node) => {
+        if (isolatedNodes.has(node)) return;
+        isolatedNodes.add(node);
+
+        const edit = isolateTextNode(dom, source, node, detector);
+        if (edit) {
+          edits.push(edit);
+          changes.bdi += edit.runs;
+        }
+      });
+    }
+  });
+
+  return { output: applyEdits(source, edits), changes };
+}
+
+/**
+ * Elements to check, in document order so ancestors get their dir first
+ * @param {Document} document
+ * @returns {Array<Element>}
+ */
+function getTargetElements(document) {
+  const { Node } = document.defaultView;
+  const elements = new Set(
+    document.querySelectorAll(RTLDetector.TARGET_SELECTORS.join(", "))
+  );
+  findTextBlocks(document).forEach((element) => elements.add(element));
+
+  return Array.from(elements)
+    .filter((element) => !element.closest(SKIP_SELECTOR))
+    .sort((a, b) =>
+      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    );
+}
+
+/**
+ * Block elements that directly own most of their text, such as a <div>
+ * holding a paragraph without <p> tags
+ * @param {Document} document
+ * @returns {Array<Element>}
+ */
+function findTextBlocks(document) {
+  if (!document.body) return [];
+
+  const { NodeFilter } = document.defaultView;
+  const ownedLength = new Map();
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const length = node.data.replace(/\s+/g, "").length;
+    if (!length || node.parentElement.closest(ISOLATION_SKIP_SELECTOR)) {
+      continue;
+    }
+
+    let block = node.parentElement;
+    while (block && INLINE_TAGS.has(block.tagName)) {
+      block = block.parentElement;
+    }
+    if (block && block !== document.body) {
+      ownedLength.set(block, (ownedLength.get(block) || 0) + length);
+    }
+  }
+
+  const blocks = [];
+  ownedLength.forEach((owned, block) => {
+    const total = block.textContent.replace(/\s+/g, "").length;
+    if (total > 0 && owned / total >= MIN_OWNED_TEXT_RATIO) {
+      blocks.push(block);
+    }
+  });
+  return blocks;
+}
+
+/**
+ * Text the direction is decided from, as the corrector reads it
+ * @param {Element} element
+ * @returns {string}
+ */
+function getElementText(element) {
+  if (element.tagName === "INPUT" || element.tagName === "TEXTAREA") {
+    return (
+      (element.getAttribute("value") || element.textContent || "") +
+      " " +
+      (element.getAttribute("placeholder") || "")
+    );
+  }
+  return element.textContent || "";
+}
+
+/**
+ * Direction an element's content takes from the nearest dir attribute
+ * @param {Element|null} element
+ * @param {RTLDetector} detector
+ * @returns {string} "rtl" or "ltr"
+ */
+function getDirection(element, detector) {
+  const owner = element && element.closest("[dir]");
+  if (!owner) return "ltr";
+
+  const value = owner.getAttribute("dir").trim().toLowerCase();
+  if (value === "auto") {
+    return detector.getFirstStrongDirection(owner.textContent) || "ltr";
+  }
+  return value === "rtl" ? "rtl" : "ltr";
+}
+
+/**
+ * Text nodes of an element that may be split into runs
+ * @param {Element} element
+ * @returns {Array<Text>}
+ */
+function getTextNodes(element) {
+  const { NodeFilter } = element.ownerDocument.defaultView;
+  const walker = element.ownerDocument.createTreeWalker(
+    element,
+    NodeFilter.SHOW_TEXT,
+    {
+      acceptNode: (node) =>
+        node.data.trim() && !node.parentElement.closest(ISOLATION_SKIP_SELECTOR)
+          ? NodeFilter.FILTER_ACCEPT
+          : NodeFilter.FILTER_REJECT,
+    }
+  );
+
+  const nodes = [];
+  while (walker.nextNode()) {
+    nodes.push(walker.currentNode);
+  }
+  return nodes;
+}
+
+/**
+ * Source edit wrapping a text node's opposite-direction runs in <bdi>
+ * @param {JSDOM} dom
+ * @param {string} source - Original HTML
+ * @param {Text} node
+ * @param {RTLDetector} detector
+ * @returns {{start: number, end: number, text: string, runs: number}|null}
+ */
+function isolateTextNode(dom, source, node, detector) {
+  const location = dom.nodeLocation(node);
+  if (!location) return null;
+
+  const baseDirection = getDirection(node.parentElement, detector);
+  const raw = source.slice(location.startOffset, location.endOffset);
+
+  // Split the source itself when it has no character references, so line
+  // endings and the like stay as written; otherwise re-escape the parsed text
+  const useRaw = !raw.includes("&");
+  const pieces = detector.splitRuns(useRaw ? raw : node.data, baseDirection);
+  if (!pieces.length) return null;
+
+  let runs = 0;
+  const text = pieces
+    .map(({ text: piece, direction }) => {
+      const content = useRaw ? piece : escapeText(piece);
+      if (!direction) return content;
+
+      runs++;
+      return `<bdi dir="${direction}">${content}</bdi>`;
+    })
+    .join("");
+
+  return { start: location.startOffset, end: location.endOffset, text, runs };
+}
+
+/**
+ * Escape text for use as HTML element content
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\u00A0/g, "&nbsp;");
+}
+
+/**
+ * Apply non-overlapping source edits
+ * @param {string} source
+ * @param {Array<{start: number, end: number, text: string}>} edits
+ * @returns {string}
+ */
+function applyEdits(source, edits) {
+  return edits
+    .slice()
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (result, edit) =>
+        result.slice(0, edit.start) + edit.text + result.slice(edit.end),
+      source
+    );
+}
+
+/**
+ * Unified diff between two versions of a file
+ *
+ * Fixes never add or remove line breaks, so lines pair up one to one.
+ * @param {string} fileName - Name shown in the diff header
+ * @param {string} before
+ * @param {string} after
+ * @param {number} [context=3] - Unchanged lines around each change
+ * @returns {string} Empty when nothing changed
+ */
+function createDiff(fileName, before, after, context = 3) {
+  if (before === after) return "";
+
+  const oldLines = before.split("\n");
+  const newLines = after.split("\n");
+  const lineCount = Math.max(oldLines.length, newLines.length);
+
+  const changed = [];
+  for (let i = 0; i < lineCount; i++) {
+    if (oldLines[i] !== newLines[i]) changed.push(i);
+  }
+
+  // Changes closer than two contexts apart share a hunk
+  const hunks = [];
+  changed.forEach((line) => {
+    const last = hunks[hunks.length - 1];
+    if (last && line - last.end <= context * 2) {
+      last.end = line;
+    } else {
+      hunks.push({ start: line, end: line });
+    }
+  });
+
+  const output = [`--- a/${fileName}`, `+++ b/${fileName}`];
+  hunks.forEach(({ start, end }) => {
+    const from = Math.max(0, start - context);
+    const to = Math.min(lineCount - 1, end + context);
+    const length = to - from + 1;
+    output.push(`@@ -${from + 1},${length} +${from + 1},${length} @@`);
+
+    let removed = [];
+    let added = [];
+    const flush = () => {
+      output.push(...removed, ...added);
+      removed = [];
+      added = [];
+    };
+
+    for (let i = from; i <= to; i++) {
+      if (oldLines[i] === newLines[i]) {
+        flush();
+        output.push(` ${oldLines[i]}`);
+      } else {
+        removed.push(`-${oldLines[i]}`);
+        added.push(`+${newLines[i]}`);
+      }
+    }
+    flush();
+  });
+
+  return `${output.join("\n")}\n`;
+}
+
+module.exports = { fixHTML, createDiff };
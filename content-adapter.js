@@ -0,0 +1,531 @@
+/**
+ * Muḥāthin content script adapter
+ *
+ * Connects ArabicRTLCorrector (content.js) to the extension: loads settings
+ * and site rules, answers popup and service worker messages, handles
+ * keyboard shortcuts, context menu actions, the element picker and the
+ * debug overlay, and reports stats. Loaded last, after settings.js,
+ * core/detection.js, picker.js, debug-overlay.js and content.js.
+ */
+
+// Content Script Implementation for Chrome Extension
+(function () {
+  "use strict";
+
+  let rtlCorrector = null;
+  let settings =
+    typeof MuhathinSettings !== "undefined"
+      ? MuhathinSettings.normalize()
+      : {};
+  let siteRule = null;
+  let appliedConfigKey = "";
+  let statsTimer = null;
+  let picker = null;
+  let debugOverlay = null;
+  let contextTarget = null;
+
+  // Elements listed in the last diagnostics reply, by row id
+  let diagnosticElements = [];
+
+  // The manifest injects this script into every frame
+  const isTopFrame = window === window.top;
+
+  /**
+   * Whether the corrector should run on this page
+   * @returns {boolean}
+   */
+  function isActiveOnSite() {
+    if (!isTopFrame && settings.enableIframeHandling === false) return false;
+    if (siteRule && siteRule.mode === "disable") return false;
+    if (siteRule && siteRule.mode === "enable") return true;
+    return settings.enabled !== false;
+  }
+
+  /**
+   * Corrector configuration with this site's overrides applied
+   * @returns {Object}
+   */
+  function getSiteConfig() {
+    const { enabled, version, ...config } = settings;
+    if (typeof MuhathinSettings === "undefined") return config;
+    return MuhathinSettings.applySiteRule(config, siteRule);
+  }
+
+  /**
+   * Hostname of the tab's top-level page, as seen from this frame
+   * @returns {string}
+   */
+  function getTopHostname() {
+    if (isTopFrame) return window.location.hostname;
+
+    try {
+      const ancestors = window.location.ancestorOrigins;
+      if (ancestors && ancestors.length) {
+        return new URL(ancestors[ancestors.length - 1]).hostname;
+      }
+    } catch (error) {
+      console.debug("Cannot determine top-level origin:", error);
+    }
+    return "";
+  }
+
+  /**
+   * Rule for this frame: its own site's rule, else the tab's site rule
+   * @param {Object} rules - All site rules
+   * @returns {Object|null}
+   */
+  function findFrameSiteRule(rules) {
+    return (
+      MuhathinSettings.findSiteRule(rules, window.location.hostname) ||
+      MuhathinSettings.findSiteRule(rules, getTopHostname())
+    );
+  }
+
+  /**
+   * Send this frame's stats to the service worker, which adds up all
+   * frames of the tab for the popup
+   */
+  function scheduleStatsReport() {
+    clearTimeout(statsTimer);
+    statsTimer = setTimeout(() => {
+      try {
+        chrome.runtime.sendMessage(
+          {
+            action: "reportFrameStats",
+            stats: rtlCorrector
+              ? rtlCorrector.getStats()
+              : {
+                  totalProcessed: 0,
+                  averageArabicRatio: 0,
+                  elementTypes: {},
+                  scripts: {},
+                  reasons: {},
+                },
+          },
+          () => void chrome.runtime.lastError
+        );
+      } catch (error) {
+        // The extension was reloaded and this context is orphaned
+        console.debug("Cannot report stats:", error);
+      }
+    }, 500);
+  }
+
+  /**
+   * This frame's diagnostics, with elements replaced by ids that
+   * highlightElement understands
+   * @returns {Object|null} Null when the corrector isn't running
+   */
+  function getDiagnostics() {
+    if (!rtlCorrector) return null;
+
+    const diagnostics = rtlCorrector.getDiagnostics();
+    diagnosticElements = diagnostics.skipped.map(({ element }) => element);
+    diagnostics.skipped = diagnostics.skipped.map(
+      ({ element, ...row }, id) => ({ id, ...row })
+    );
+    return diagnostics;
+  }
+
+  /**
+   * Start, reconfigure or stop the corrector to match the current state
+   */
+  function applyState() {
+    try {
+      if (!isActiveOnSite()) {
+        if (rtlCorrector) {
+          setDebugOverlay(false);
+          rtlCorrector.disable();
+          scheduleStatsReport();
+        }
+        return;
+      }
+
+      const config = getSiteConfig();
+      const configKey = JSON.stringify(config);
+
+      if (!rtlCorrector) {
+        initializeRTLCorrector();
+      } else if (!rtlCorrector.isEnabled) {
+        rtlCorrector.updateConfig(config);
+        rtlCorrector.enable();
+      } else if (configKey !== appliedConfigKey) {
+        // Only rescan when something the corrector uses has changed
+        rtlCorrector.updateConfig(config);
+      }
+      appliedConfigKey = configKey;
+    } catch (error) {
+      console.error("Error applying corrector state:", error);
+    }
+  }
+
+  /**
+   * Load stored settings and site rules, and follow later changes
+   * @returns {Promise} Resolves once everything is loaded
+   */
+  function watchSettings() {
+    if (typeof MuhathinSettings === "undefined") return Promise.resolve();
+
+    MuhathinSettings.onChange((changed) => {
+      settings = changed;
+      applyState();
+    });
+
+    MuhathinSettings.onSiteRulesChange((rules) => {
+      siteRule = findFrameSiteRule(rules);
+      applyState();
+    });
+
+    return Promise.all([
+      MuhathinSettings.load(),
+      MuhathinSettings.loadSiteRules(),
+    ]).then(([loaded, rules]) => {
+      settings = loaded;
+      siteRule = findFrameSiteRule(rules);
+    });
+  }
+
+  /**
+   * Block holding the current selection
+   * @returns {Element|null}
+   */
+  function getSelectionBlock() {
+    const selection = window.getSelection();
+    if (!selection || !selection.rangeCount || selection.isCollapsed) {
+      return null;
+    }
+
+    let node = selection.getRangeAt(0).commonAncestorContainer;
+    if (node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+    return node ? rtlCorrector.getTextBlock(node) : null;
+  }
+
+  /**
+   * Element a keyboard shortcut applies to: the block holding the current
+   * selection, else the focused element
+   * @returns {Element|null}
+   */
+  function getShortcutTarget() {
+    const selected = getSelectionBlock();
+    if (selected) return selected;
+
+    // Follow focus into open shadow roots
+    let active = document.activeElement;
+    while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+      active = active.shadowRoot.activeElement;
+    }
+
+    // A focused iframe handles the shortcut in its own frame
+    if (
+      !active ||
+      active === document.body ||
+      active === document.documentElement ||
+      active.tagName === "IFRAME" ||
+      active.tagName === "FRAME"
+    ) {
+      return null;
+    }
+    return active;
+  }
+
+  /**
+   * Force RTL or LTR on the selection or focused element of this frame
+   * @param {string} direction - "rtl" or "ltr"
+   * @returns {boolean} Whether an element was changed
+   */
+  function forceShortcutDirection(direction) {
+    // Every frame of the tab gets the message; only the focused one acts
+    if (!rtlCorrector || !rtlCorrector.isEnabled || !document.hasFocus()) {
+      return false;
+    }
+
+    const target = getShortcutTarget();
+    if (!target) return false;
+
+    rtlCorrector.forceDirection(target, direction);
+    return true;
+  }
+
+  /**
+   * Remember what was right-clicked, for the context menu actions
+   * @param {MouseEvent} event - contextmenu event
+   */
+  function rememberContextTarget(event) {
+    const path = event.composedPath ? event.composedPath() : [event.target];
+    contextTarget =
+      path.find((node) => node.nodeType === Node.ELEMENT_NODE) || null;
+  }
+
+  /**
+   * Save what was done to an element as a rule for this site
+   * @param {Element} element - Element the rule is for
+   * @param {string} action - "rtl", "ltr" or "exclude"
+   */
+  function persistElementRule(element, action) {
+    if (typeof ElementPicker === "undefined") return;
+
+    MuhathinSettings.addElementRule(
+      window.location.hostname,
+      ElementPicker.getSelector(element),
+      action
+    ).catch((error) => console.error("Error saving element rule:", error));
+  }
+
+  /**
+   * Run a right-click menu entry in this frame
+   * @param {string} command - Menu item id
+   * @param {boolean} persist - Also save the change as a site rule
+   * @returns {boolean} Whether an element was changed
+   */
+  function handleContextMenuAction(command, persist) {
+    if (!rtlCorrector || !rtlCorrector.isEnabled) return false;
+
+    const block =
+      getSelectionBlock() ||
+      (contextTarget && rtlCorrector.getTextBlock(contextTarget));
+
+    switch (command) {
+      case "make-rtl":
+      case "make-ltr": {
+        if (!block) return false;
+        const direction = command === "make-rtl" ? "rtl" : "ltr";
+        rtlCorrector.forceDirection(block, direction);
+        if (persist) persistElementRule(block, direction);
+        return true;
+      }
+      case "exclude-element":
+        if (!block) return false;
+        rtlCorrector.excludeElement(block);
+        if (persist) persistElementRule(block, "exclude");
+        return true;
+      case "toggle-field-direction": {
+        const field =
+          contextTarget &&
+          (contextTarget.tagName === "INPUT" ||
+          contextTarget.tagName === "TEXTAREA"
+            ? contextTarget
+            : rtlCorrector.getEditableTarget(contextTarget));
+        if (!field) return false;
+
+        const direction =
+          window.getComputedStyle(field).direction === "rtl" ? "ltr" : "rtl";
+        rtlCorrector.forceDirection(field, direction);
+        if (persist) persistElementRule(field, direction);
+        return true;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Let the user pick an element and save what to do with it as a site rule
+   *
+   * The picker runs in every frame, so elements inside iframes can be picked
+   * too; a rule is saved for the hostname of the frame it was picked in.
+   */
+  function startPicker() {
+    if (typeof ElementPicker === "undefined") return;
+    if (picker && picker.isActive) return;
+
+    picker = new ElementPicker({
+      showHint: window === window.top,
+      onPick: ({ selector, action }) => {
+        // The new rule reaches applyState() through onSiteRulesChange
+        MuhathinSettings.addElementRule(
+          window.location.hostname,
+          selector,
+          action
+        ).catch((error) => console.error("Error saving element rule:", error));
+      },
+      onStop: () => {
+        // Closed in this frame: close it in the others too
+        if (!picker) return;
+        picker = null;
+        chrome.runtime.sendMessage({ action: "stopPicker" }, () => {
+          void chrome.runtime.lastError;
+        });
+      },
+    });
+    picker.start();
+  }
+
+  /**
+   * Close the picker in this frame without notifying the others
+   */
+  function stopPicker() {
+    if (!picker) return;
+
+    const active = picker;
+    picker = null;
+    active.stop();
+  }
+
+  /**
+   * Show or hide the debug overlay with the corrector's decisions
+   * @param {boolean} enabled - Whether it should be shown
+   * @returns {boolean} Whether it is shown now
+   */
+  function setDebugOverlay(enabled) {
+    if (typeof DebugOverlay === "undefined") return false;
+
+    if (enabled && !debugOverlay && rtlCorrector && rtlCorrector.isEnabled) {
+      debugOverlay = new DebugOverlay(rtlCorrector, {
+        onStop: () => {
+          debugOverlay = null;
+        },
+      });
+      debugOverlay.start();
+    } else if (!enabled && debugOverlay) {
+      debugOverlay.stop();
+    }
+    return Boolean(debugOverlay);
+  }
+
+  /**
+   * Called after each batch the corrector finishes
+   */
+  function handleProcessed() {
+    if (typeof chrome !== "undefined" && chrome.runtime) {
+      scheduleStatsReport();
+    }
+    if (debugOverlay) {
+      debugOverlay.refresh();
+    }
+  }
+
+  /**
+   * Initialize the RTL corrector
+   */
+  function initializeRTLCorrector() {
+    try {
+      if (rtlCorrector) {
+        setDebugOverlay(false);
+        rtlCorrector.destroy();
+      }
+      rtlCorrector = new ArabicRTLCorrector({
+        batchSize: 50,
+        ...getSiteConfig(),
+        onProcessed: handleProcessed,
+      });
+    } catch (error) {
+      console.error("Error initializing RTL corrector:", error);
+    }
+  }
+
+  if (typeof chrome !== "undefined" && chrome.runtime) {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      try {
+        switch (message.action) {
+          case "enable":
+            settings = { ...settings, enabled: true };
+            applyState();
+            sendResponse({
+              success: true,
+              stats: rtlCorrector ? rtlCorrector.getStats() : {},
+            });
+            break;
+          case "disable":
+            settings = { ...settings, enabled: false };
+            applyState();
+            sendResponse({ success: true });
+            break;
+          case "getStats":
+            const stats = rtlCorrector
+              ? rtlCorrector.getStats()
+              : { totalProcessed: 0 };
+            sendResponse({ success: true, stats });
+            break;
+          case "rescan":
+            if (rtlCorrector && rtlCorrector.isEnabled) {
+              rtlCorrector.scanDOM();
+              sendResponse({ success: true, stats: rtlCorrector.getStats() });
+            } else {
+              sendResponse({
+                success: false,
+                error: "RTL corrector not initialized or disabled",
+              });
+            }
+            break;
+          case "getDiagnostics":
+            sendResponse({ success: true, diagnostics: getDiagnostics() });
+            break;
+          case "highlightElement": {
+            const element = diagnosticElements[message.id];
+            if (rtlCorrector && element) {
+              rtlCorrector.highlightElement(element);
+            }
+            sendResponse({ success: Boolean(rtlCorrector && element) });
+            break;
+          }
+          case "toggleDebugOverlay":
+            sendResponse({
+              success: true,
+              active: setDebugOverlay(
+                typeof message.enabled === "boolean"
+                  ? message.enabled
+                  : !debugOverlay
+              ),
+            });
+            break;
+          case "forceDirection":
+            sendResponse({
+              success: forceShortcutDirection(message.direction),
+            });
+            break;
+          case "contextMenuAction":
+            sendResponse({
+              success: handleContextMenuAction(
+                message.command,
+                message.persist
+              ),
+            });
+            break;
+          case "startPicker":
+            startPicker();
+            sendResponse({ success: Boolean(picker) });
+            break;
+          case "stopPicker":
+            stopPicker();
+            sendResponse({ success: true });
+            break;
+          default:
+            sendResponse({ success: false, error: "Unknown action" });
+        }
+      } catch (error) {
+        console.error("Error handling message:", error);
+        sendResponse({ success: false, error: error.message });
+      }
+      return true; // Keep message channel open for async response
+    });
+
+    // The context menu acts on whatever was right-clicked
+    document.addEventListener("contextmenu", rememberContextTarget, true);
+
+    // Forget this frame's stats when it goes away
+    window.addEventListener("pagehide", () => {
+      try {
+        chrome.runtime.sendMessage({ action: "clearFrameStats" }, () => {
+          void chrome.runtime.lastError;
+        });
+      } catch (error) {
+        console.debug("Cannot clear stats:", error);
+      }
+    });
+
+    // Load settings first so the corrector starts with the stored config
+    watchSettings().then(applyState);
+  } else {
+    // Standalone usage (non-extension)
+    initializeRTLCorrector();
+  }
+
+  // Global access for debugging
+  window.ArabicRTLCorrector = ArabicRTLCorrector;
+  if (typeof window !== "undefined") {
+    Object.defineProperty(window, "rtlCorrector", {
+      get: () => rtlCorrector,
+      configurable: true,
+    });
+  }
+})();
@@ -3,12 +3,23 @@
  * Intelligently detects and applies RTL styling to Arabic content
  *
  * Features:
- * - Comprehensive Arabic script detection
+ * - Arabic script detection, plus Hebrew, Syriac, Thaana, N'Ko and other
+ *   RTL scripts (each can be turned off)
  * - Performance optimized with debouncing and caching
- * - Handles dynamic content with MutationObserver
- * - Shadow DOM support
+ * - Handles dynamic content with MutationObserver, through a deduplicated
+ *   work queue drained in time slices and idle periods
+ * - Optional lazy mode that only processes elements near the viewport
+ * - Open Shadow DOM support, including shadow roots attached after load
  * - Mixed content handling
- * - Iframe support with proper permissions
+ * - Leaves the page author's own dir and CSS direction alone, with an
+ *   optional minimal intervention mode that only adds dir attributes
+ * - Per-site rules, including elements picked on the page (picker.js)
+ * - Runs in every frame (the manifest injects it with all_frames)
+ * - Diagnostics: why elements were skipped, scan timing, mutation counts
+ *
+ * Text analysis lives in core/detection.js (RTLDetector), which has no DOM
+ * dependencies; this class applies its decisions to the page. The extension
+ * wiring (settings, messages, shortcuts) is in content-adapter.js.
  *
  * @author Chrome Extension Developer
  * @version 2.1.0
@@ -21,71 +32,268 @@ class ArabicRTLCorrector {
       arabicThreshold: options.arabicThreshold || 0.3,
       debounceDelay: options.debounceDelay || 150,
       enableVisualFeedback: options.enableVisualFeedback !== false,
-      enableIframeHandling: options.enableIframeHandling !== false,
+      onProcessed: options.onProcessed || null, // called after each batch
       batchSize: options.batchSize || 30,
       maxProcessingTime: options.maxProcessingTime || 16, // ~60fps
+      detectionStrategy: options.detectionStrategy || "ratio",
+      liveDirection: options.liveDirection !== false,
+      blockHeuristic: options.blockHeuristic !== false,
+      minimalIntervention: options.minimalIntervention === true,
+      lazyProcessing: options.lazyProcessing === true,
       ...options,
     };
 
     // Performance optimization caches
     this.processedElements = new WeakSet();
     this.textCache = new WeakMap();
-    this.debounceTimer = null;
     this.observer = null;
+    this.shadowRoots = new Set();
     this.isEnabled = true;
     this.isProcessing = false;
 
-    // Target element selectors
-    this.targetSelectors = [
-      "p",
-      "span",
-      "h1",
-      "h2",
-      "h3",
-      "h4",
-      "h5",
-      "h6",
-      'input:not([type="password"]):not([type="email"]):not([type="url"])',
-      "textarea",
-      '[contenteditable="true"]',
-      '[contenteditable=""]',
-      "label",
-      "button",
-      "a",
-      "li",
-      "td",
-      "th",
-    ];
+    // Target and skip selectors shared with the detection core
+    this.defaultTargetSelectors = [...RTLDetector.TARGET_SELECTORS];
+    this.defaultSkipSelectors = [...RTLDetector.SKIP_SELECTORS];
+
+    this.buildSelectors();
+
+    // Inline elements: their text belongs to the nearest block ancestor
+    this.inlineTags = new Set(RTLDetector.INLINE_TAGS);
+
+    // Text that never makes its block a target
+    this.textBlockSkipSelector =
+      "script, style, noscript, code, pre, textarea, select, svg, [data-rtl-skip], .rtl-skip";
+
+    // A block must directly own at least this share of its text, which keeps
+    // layout containers that merely wrap other blocks from being restyled
+    this.minOwnedTextRatio = 0.5;
+
+    this.buildScriptPatterns();
+
+    // Text inside these is never split into runs
+    this.isolationSkipSelector =
+      "code, pre, kbd, samp, script, style, noscript, textarea, bdi, [contenteditable], [data-rtl-skip], .rtl-skip";
 
-    // Elements to skip
-    this.skipSelectors = [
-      "code",
-      "pre",
-      "script",
-      "style",
-      "noscript",
-      "div",
-      "[data-rtl-skip]",
-      ".rtl-skip",
-      'input[type="password"]',
-      'input[type="email"]',
-      'input[type="url"]',
+    // Original text nodes replaced by isolated runs, in insertion order
+    this.isolatedTextNodes = new Map();
+
+    // Arabic font stacks for the typography layer, used when installed
+    this.fontStacks = {
+      sans: ['"Noto Sans Arabic"', '"Segoe UI"', "Tahoma", '"Geeza Pro"'],
+      naskh: [
+        '"Noto Naskh Arabic"',
+        '"Traditional Arabic"',
+        '"Simplified Arabic"',
+        '"Geeza Pro"',
+      ],
+      kufi: ['"Noto Kufi Arabic"', '"Droid Arabic Kufi"', '"Geeza Pro"'],
+    };
+    this.genericFontFamilies = new Set([
+      "serif", "sans-serif", "monospace", "cursive", "fantasy", "system-ui",
+      "ui-serif", "ui-sans-serif", "ui-monospace", "ui-rounded", "math",
+      "emoji", "fangsong",
+    ]);
+
+    // Inline styles replaced by the typography layer, restored on removal
+    this.typographyOriginals = new WeakMap();
+
+    // Containers whose layout is mirrored when most of their items are RTL
+    this.structureSelector = "ul, ol, table, blockquote";
+    this.mirroredProperties = [
+      "direction",
+      "paddingLeft",
+      "paddingRight",
+      "marginLeft",
+      "marginRight",
+      "borderLeftWidth",
+      "borderLeftStyle",
+      "borderLeftColor",
+      "borderRightWidth",
+      "borderRightStyle",
+      "borderRightColor",
     ];
+    this.mirroredOriginals = new WeakMap();
 
-    // Comprehensive Arabic Unicode ranges
-    this.arabicRegex =
-      /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/g;
+    // Text inside these keeps its digits as written
+    this.numeralSkipSelector =
+      "code, pre, kbd, samp, var, script, style, noscript, textarea, [contenteditable], [data-rtl-live], [data-rtl-skip], .rtl-skip";
 
-    // Latin numbers and URLs to preserve LTR
-    this.ltrPreserveRegex = /[0-9]+|https?:\/\/[^\s]+|www\.[^\s]+/g;
+    // Text nodes whose digits were converted: node -> {original, converted}
+    this.numeralTextNodes = new Map();
 
     // Bound methods for event listeners
     this.handleDOMContentLoaded = this.handleDOMContentLoaded.bind(this);
     this.handleMutations = this.handleMutations.bind(this);
+    this.handleEditableInput = this.handleEditableInput.bind(this);
+    this.handleShadowRootAttached = this.handleShadowRootAttached.bind(this);
+    this.handleIntersections = this.handleIntersections.bind(this);
+    this.processQueueSlice = this.processQueueSlice.bind(this);
+
+    // Attributes marking a direction the corrector set, as opposed to one
+    // set by the page author
+    this.correctorDirectionAttributes = [
+      "data-rtl-applied",
+      "data-rtl-forced",
+      "data-rtl-mirrored",
+      "data-rtl-dir",
+      "data-rtl-live-dir",
+      "data-rtl-bidi",
+    ];
+
+    // Selectors of stylesheet rules that set direction, per document or
+    // shadow root: root -> {count, selectors}
+    this.directionRules = new WeakMap();
+
+    // Author direction each element resolves to, shared by its descendants
+    // for the length of a run: node -> {direction, node}|null
+    this.authorDirections = new WeakMap();
+
+    // Directions forced with a keyboard shortcut, for the life of the page
+    this.manualDirections = new WeakMap();
+
+    // Regions excluded from the context menu, for the life of the page
+    this.manualExclusions = new Set();
+
+    // Editable elements waiting for a live direction update
+    this.pendingEditables = new Set();
+    this.editableFrame = null;
+
+    // Diagnostics for the popup: elements with RTL text that were left alone
+    // (element -> {reason, ratio}, oldest first) and timing of the work done
+    this.maxSkippedElements = 200;
+    this.skippedElements = new Map();
+    this.diagnostics = this.createDiagnostics();
+
+    // Last decision for every processed element: {applied, reason, ratio}.
+    // Removed elements are pruned whenever the map doubles past its size
+    // after the last pruning
+    this.decisions = new Map();
+    this.decisionsPruneSize = 1000;
+
+    // Lazy processing: candidates wait on an IntersectionObserver until they
+    // come within this margin of the viewport
+    this.viewportObserver = null;
+    this.lazyRootMargin = "50% 0px";
+
+    // Work queue: elements waiting for processElement(), and nodes touched
+    // by mutations (node -> dirtyFlags) waiting to be resolved into elements.
+    // Both are drained in time slices by a single run at a time.
+    this.elementQueue = new Set();
+    this.dirtyNodes = new Map();
+    this.dirtyFlags = { added: 1, changed: 2, children: 4 };
+    this.maxDirtyNodes = 5000;
+    this.idleTimeout = 100; // ms an idle slice may wait before it is forced
+    this.drainTimer = null;
+    this.sliceHandle = null;
+    this.queueRun = null;
+    this.resolveDirty = false;
+    this.needsRescan = false;
+
+    // Queue metrics for diagnostics: the longest the queue got, dirty nodes
+    // dropped for a full rescan, and nodes removed before they were resolved
+    this.queueMetrics = { peakLength: 0, dropped: 0, stale: 0 };
 
     this.init();
   }
 
+  /**
+   * Combine the default selectors with any extra ones from the config
+   */
+  buildSelectors() {
+    const extraTargets = (this.config.extraTargetSelectors || []).filter(
+      (selector) => this.isValidSelector(selector)
+    );
+    const extraSkips = (this.config.extraSkipSelectors || []).filter(
+      (selector) => this.isValidSelector(selector)
+    );
+
+    this.targetSelectors = [...this.defaultTargetSelectors, ...extraTargets];
+    this.skipSelectors = [...this.defaultSkipSelectors, ...extraSkips];
+
+    // Elements picked on the page: forced direction, or excluded with their
+    // whole subtree
+    const toSelector = (list) =>
+      (list || []).filter((selector) => this.isValidSelector(selector)).join(",");
+    this.forceRTLSelector = toSelector(this.config.forceRTLSelectors);
+    this.forceLTRSelector = toSelector(this.config.forceLTRSelectors);
+    this.excludeSelector = toSelector(this.config.excludeSelectors);
+  }
+
+  /**
+   * Direction forced on an element by a keyboard shortcut or a
+   * picked-element rule
+   * @param {Element} element - Element to check
+   * @returns {string|null} "rtl", "ltr", or null if not forced
+   */
+  getForcedDirection(element) {
+    if (this.manualDirections.has(element)) {
+      return this.manualDirections.get(element);
+    }
+    if (this.forceLTRSelector && element.matches(this.forceLTRSelector)) {
+      return "ltr";
+    }
+    if (this.forceRTLSelector && element.matches(this.forceRTLSelector)) {
+      return "rtl";
+    }
+    return null;
+  }
+
+  /**
+   * Whether an element is inside a region the user excluded or forced to LTR
+   * @param {Element} element - Element to check
+   * @returns {boolean}
+   */
+  isInPickedRegion(element) {
+    if (this.excludeSelector && element.closest(this.excludeSelector)) {
+      return true;
+    }
+    for (const excluded of this.manualExclusions) {
+      if (excluded.contains(element)) return true;
+    }
+
+    // Descendants of a forced-LTR element are left alone; the element itself
+    // is handled by applyForcedDirection()
+    const parent = element.parentElement;
+    return Boolean(
+      this.forceLTRSelector && parent && parent.closest(this.forceLTRSelector)
+    );
+  }
+
+  /**
+   * Build the text detector for the enabled RTL scripts
+   */
+  buildScriptPatterns() {
+    this.detector = new RTLDetector({
+      enabledScripts: this.config.enabledScripts,
+      threshold: this.config.arabicThreshold,
+      strategy: this.config.detectionStrategy,
+    });
+  }
+
+  /**
+   * Script with the most letters in a text
+   * @param {string} text - Text to inspect
+   * @returns {string|null} Script id, or null without RTL letters
+   */
+  getDominantScript(text) {
+    return this.detector.getDominantScript(text);
+  }
+
+  /**
+   * Check whether a user-supplied selector can be used
+   * @param {string} selector - CSS selector
+   * @returns {boolean} True if the selector parses
+   */
+  isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      console.warn("Ignoring invalid selector:", selector);
+      return false;
+    }
+  }
+
   /**
    * Initialize the RTL corrector
    */
@@ -116,10 +324,16 @@ class ArabicRTLCorrector {
       // Set up mutation observer for dynamic content
       this.setupMutationObserver();
 
-      // Handle iframes if enabled
-      if (this.config.enableIframeHandling) {
-        this.handleIframes();
-      }
+      // Shadow roots attached later are announced by shadow-hook.js
+      document.addEventListener(
+        "muhathin:shadow-root-attached",
+        this.handleShadowRootAttached,
+        true
+      );
+
+      // Follow typing in inputs, textareas and rich editors
+      document.addEventListener("input", this.handleEditableInput, true);
+      document.addEventListener("keyup", this.handleEditableInput, true);
 
       console.log("ArabicRTLCorrector initialized successfully");
     } catch (error) {
@@ -137,12 +351,11 @@ class ArabicRTLCorrector {
 
     try {
       this.observer = new MutationObserver(this.handleMutations);
-      this.observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-        characterData: true,
-        attributes: true,
-        attributeFilter: ["value", "placeholder", "contenteditable"],
+      this.observer.observe(document.body, this.getObserverOptions());
+
+      // The same observer also watches every known open shadow root
+      this.shadowRoots.forEach((shadowRoot) => {
+        this.observer.observe(shadowRoot, this.getObserverOptions());
       });
     } catch (error) {
       console.error("Error setting up MutationObserver:", error);
@@ -150,88 +363,383 @@ class ArabicRTLCorrector {
   }
 
   /**
-   * Handle mutations with debouncing
+   * Options for observing a document or shadow root
+   * @returns {Object} MutationObserver options
+   */
+  getObserverOptions() {
+    return {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ["value", "placeholder", "contenteditable"],
+    };
+  }
+
+  /**
+   * Start watching an open shadow root
+   * @param {ShadowRoot} shadowRoot - Shadow root to observe
+   */
+  observeShadowRoot(shadowRoot) {
+    if (this.shadowRoots.has(shadowRoot)) return;
+
+    this.shadowRoots.add(shadowRoot);
+    if (this.observer) {
+      this.observer.observe(shadowRoot, this.getObserverOptions());
+    }
+  }
+
+  /**
+   * Find open shadow roots at or below a node, including nested ones
+   * @param {Document|Element|ShadowRoot} root - Where to start looking
+   * @returns {Array<ShadowRoot>} Shadow roots found
+   */
+  findShadowRoots(root) {
+    const shadowRoots = [];
+    const start =
+      root.nodeType === Node.DOCUMENT_NODE ? root.documentElement : root;
+    if (!start) return shadowRoots;
+
+    const visit = (node) => {
+      const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+      let current = walker.currentNode;
+      while (current) {
+        if (current.shadowRoot) {
+          shadowRoots.push(current.shadowRoot);
+          visit(current.shadowRoot);
+        }
+        current = walker.nextNode();
+      }
+    };
+    visit(start);
+
+    return shadowRoots;
+  }
+
+  /**
+   * Scan and observe a shadow root announced by shadow-hook.js
+   * @param {CustomEvent} event - muhathin:shadow-root-attached event
+   */
+  handleShadowRootAttached(event) {
+    if (!this.isEnabled) return;
+
+    try {
+      const host = event.composedPath ? event.composedPath()[0] : event.target;
+      const shadowRoot = host && host.shadowRoot;
+      if (!shadowRoot) return;
+
+      this.observeShadowRoot(shadowRoot);
+
+      // Components usually render into the root right after attaching it
+      setTimeout(() => this.scanDOM(shadowRoot), this.config.debounceDelay);
+    } catch (error) {
+      console.error("Error handling attached shadow root:", error);
+    }
+  }
+
+  /**
+   * Query the document and every known shadow root
+   * @param {string} selector - CSS selector
+   * @returns {Array<Element>} Matching elements
+   */
+  querySelectorAllRoots(selector) {
+    const elements = Array.from(document.querySelectorAll(selector));
+
+    this.shadowRoots.forEach((shadowRoot) => {
+      // Hosts that come back are found again through mutations
+      if (!shadowRoot.host.isConnected) {
+        this.shadowRoots.delete(shadowRoot);
+        return;
+      }
+      elements.push(...shadowRoot.querySelectorAll(selector));
+    });
+
+    return elements;
+  }
+
+  /**
+   * Queue the nodes touched by mutations; they are resolved into elements
+   * debounceDelay after the first change, without dropping any that arrive
+   * while a batch is running
+   * @param {Array<MutationRecord>} mutations
    */
   handleMutations(mutations) {
-    if (!this.isEnabled || this.isProcessing) return;
+    if (!this.isEnabled) return;
 
-    clearTimeout(this.debounceTimer);
-    this.debounceTimer = setTimeout(() => {
-      this.processMutations(mutations);
-    }, this.config.debounceDelay);
+    try {
+      this.diagnostics.mutations.records += mutations.length;
+      mutations.forEach((mutation) => this.markDirty(mutation));
+      this.scheduleDrain();
+    } catch (error) {
+      console.error("Error queueing mutations:", error);
+    }
   }
 
   /**
-   * Process mutations
+   * Drop the mutation records of DOM writes the corrector just made (bidi
+   * runs, numerals), so they aren't counted as page changes or processed
+   * again. Records are delivered before each of our callbacks runs, so the
+   * pending ones are all our own.
    */
-  processMutations(mutations) {
-    const elementsToProcess = new Set();
+  discardOwnMutations() {
+    if (this.observer) this.observer.takeRecords();
+  }
 
-    mutations.forEach((mutation) => {
-      if (mutation.type === "childList") {
-        mutation.addedNodes.forEach((node) => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            elementsToProcess.add(node);
-            // Also check child elements
-            const children = this.getTargetElements(node);
-            children.forEach((child) => elementsToProcess.add(child));
-          }
+  /**
+   * Record what a mutation touched in the dirty node queue
+   * @param {MutationRecord} mutation
+   */
+  markDirty(mutation) {
+    const { added, changed, children } = this.dirtyFlags;
+
+    if (mutation.type === "childList") {
+      mutation.addedNodes.forEach((node) => {
+        // Ignore runs inserted by isolateBidiRuns()
+        if (
+          node.nodeType === Node.ELEMENT_NODE &&
+          !node.hasAttribute("data-rtl-bidi")
+        ) {
+          this.addDirtyNode(node, added);
+        }
+      });
+
+      // New text or inline content can change the block that owns it
+      this.addDirtyNode(mutation.target, children);
+    } else if (
+      mutation.type === "characterData" ||
+      mutation.type === "attributes"
+    ) {
+      // Text node changed, check parent
+      const target =
+        mutation.target.nodeType === Node.ELEMENT_NODE
+          ? mutation.target
+          : mutation.target.parentElement;
+      if (target) {
+        this.addDirtyNode(target, changed);
+      }
+    }
+  }
+
+  /**
+   * Add a node to the dirty queue, merging flags for nodes already in it
+   * @param {Node} node - Node a mutation touched
+   * @param {number} flag - One of this.dirtyFlags
+   */
+  addDirtyNode(node, flag) {
+    const metrics = this.queueMetrics;
+
+    if (
+      !this.dirtyNodes.has(node) &&
+      this.dirtyNodes.size >= this.maxDirtyNodes
+    ) {
+      // Too much changed at once to track node by node: rescan the page,
+      // which finds changed text through the text cache. Attribute changes
+      // leave the text alone, so their elements are invalidated now.
+      if (flag & this.dirtyFlags.changed) this.invalidateElement(node);
+      metrics.dropped++;
+      this.needsRescan = true;
+      return;
+    }
+
+    this.dirtyNodes.set(node, (this.dirtyNodes.get(node) || 0) | flag);
+    metrics.peakLength = Math.max(metrics.peakLength, this.getQueueLength());
+  }
+
+  /**
+   * Resolve the dirty nodes debounceDelay after the first pending change
+   *
+   * Unlike a debounce, later mutations don't push the deadline back, so a
+   * page that never stops changing (a chat streaming messages) still gets
+   * processed.
+   */
+  scheduleDrain() {
+    if (this.drainTimer !== null) return;
+
+    this.drainTimer = setTimeout(() => {
+      this.drainTimer = null;
+      if (!this.isEnabled) return;
+
+      if (this.needsRescan) {
+        this.needsRescan = false;
+        this.dirtyNodes.forEach((flags, node) => {
+          if (flags & this.dirtyFlags.changed) this.invalidateElement(node);
         });
-      } else if (
-        mutation.type === "characterData" ||
-        mutation.type === "attributes"
+        this.dirtyNodes.clear();
+        this.diagnostics.mutations.batches++;
+        this.scanDOM();
+        return;
+      }
+
+      if (this.dirtyNodes.size) {
+        this.diagnostics.mutations.batches++;
+        this.resolveDirty = true;
+        this.startQueue("mutation");
+      }
+    }, this.config.debounceDelay);
+  }
+
+  /**
+   * Turn a dirty node into the elements to re-evaluate
+   * @param {Node} node - Node a mutation touched
+   * @param {number} flags - this.dirtyFlags it was marked with
+   * @param {Set<Element>} elements - Receives the elements
+   */
+  resolveDirtyNode(node, flags, elements) {
+    if (!node.isConnected) {
+      // Removed before we got to it
+      this.queueMetrics.stale++;
+      return;
+    }
+
+    const { added, changed, children } = this.dirtyFlags;
+    const invalidate = (element) => {
+      this.invalidateElement(element);
+      elements.add(element);
+    };
+
+    if (flags & added) {
+      // Containers are only processed through the targets inside them
+      if (this.isTargetElement(node)) {
+        elements.add(node);
+      }
+      this.getTargetElements(node).forEach((child) => elements.add(child));
+    }
+
+    if (flags & children) {
+      const block = this.getTextBlock(node);
+      if (
+        block &&
+        block.nodeType === Node.ELEMENT_NODE &&
+        this.isTextBlock(block)
       ) {
-        const target = mutation.target;
-        if (target.nodeType === Node.ELEMENT_NODE) {
-          // Clear cache for modified elements
-          this.textCache.delete(target);
-          this.processedElements.delete(target);
-          elementsToProcess.add(target);
-        } else if (target.parentElement) {
-          // Text node changed, check parent
-          this.textCache.delete(target.parentElement);
-          this.processedElements.delete(target.parentElement);
-          elementsToProcess.add(target.parentElement);
-        }
+        invalidate(block);
       }
-    });
+    }
 
-    if (elementsToProcess.size > 0) {
-      this.processElementsBatch(Array.from(elementsToProcess));
+    if (flags & changed) {
+      invalidate(node);
     }
   }
 
   /**
-   * Handle iframes
+   * Forget that an element was processed, so the next pass re-evaluates it
+   * even if its text is unchanged
+   * @param {Element} element
+   */
+  invalidateElement(element) {
+    this.textCache.delete(element);
+    this.processedElements.delete(element);
+  }
+
+  /**
+   * Queue a live direction update for the element being typed in
+   * @param {Event} event - input or keyup event
    */
-  handleIframes() {
+  handleEditableInput(event) {
+    if (!this.isEnabled || !this.config.liveDirection) return;
+
     try {
-      const iframes = document.querySelectorAll("iframe");
-      iframes.forEach((iframe) => {
-        try {
-          // Only process same-origin iframes
-          if (!iframe.contentDocument) return;
+      // composedPath() reaches into open shadow roots
+      const target = event.composedPath ? event.composedPath()[0] : event.target;
+      const editable = this.getEditableTarget(target);
+      if (!editable) return;
+
+      this.pendingEditables.add(editable);
+      if (!this.editableFrame) {
+        this.editableFrame = requestAnimationFrame(() => {
+          this.editableFrame = null;
+          const editables = Array.from(this.pendingEditables);
+          this.pendingEditables.clear();
+          editables.forEach((element) => this.updateEditableDirection(element));
+        });
+      }
+    } catch (error) {
+      console.error("Error handling editable input:", error);
+    }
+  }
 
-          const iframeCorrector = new ArabicRTLCorrector({
-            ...this.config,
-            enableIframeHandling: false, // Prevent infinite recursion
-          });
+  /**
+   * Find the input, textarea or contenteditable host for an event target
+   * @param {EventTarget} target - Event target
+   * @returns {Element|null} Element whose direction should follow its text
+   */
+  getEditableTarget(target) {
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) return null;
 
-          iframe.addEventListener("load", () => {
-            if (iframe.contentDocument) {
-              iframeCorrector.scanDOM(iframe.contentDocument);
-            }
-          });
-        } catch (error) {
-          // Ignore cross-origin iframe errors
-          console.debug(
-            "Cannot access iframe content (likely cross-origin):",
-            error
-          );
+    if (target.tagName === "INPUT" || target.tagName === "TEXTAREA") {
+      const isTarget = this.targetSelectors.some((sel) => target.matches(sel));
+      const isSkipped = this.skipSelectors.some((sel) => target.matches(sel));
+      return isTarget && !isSkipped ? target : null;
+    }
+
+    if (!this.isContentEditable(target)) return null;
+
+    // Climb to the editing host
+    let host = target;
+    while (host.parentElement && this.isContentEditable(host.parentElement)) {
+      host = host.parentElement;
+    }
+    return host.closest("[data-rtl-skip], .rtl-skip") ? null : host;
+  }
+
+  /**
+   * Check whether an element is editable rich text
+   * @param {Element} element - Element to check
+   * @returns {boolean}
+   */
+  isContentEditable(element) {
+    if (typeof element.isContentEditable === "boolean") {
+      return element.isContentEditable;
+    }
+    // Environments without isContentEditable (e.g. jsdom)
+    const host = element.closest("[contenteditable]");
+    return !!host && host.getAttribute("contenteditable") !== "false";
+  }
+
+  /**
+   * Re-evaluate the direction of an editable element from its current text
+   * @param {Element} element - Input, textarea or contenteditable host
+   */
+  updateEditableDirection(element) {
+    try {
+      if (!element.isConnected || this.getForcedDirection(element)) return;
+
+      const isField =
+        element.tagName === "INPUT" || element.tagName === "TEXTAREA";
+      const text = isField
+        ? element.value || element.placeholder || ""
+        : element.textContent || "";
+      const direction = this.getFirstStrongDirection(text);
+
+      if (direction === "rtl") {
+        this.applyRTLStyles(element, this.calculateArabicRatio(text), "live");
+      } else {
+        if (element.hasAttribute("data-rtl-applied")) {
+          this.removeRTLStyles(element);
         }
-      });
+        this.recordSkip(element, "ltr-text");
+      }
+      this.textCache.set(element, this.getElementText(element));
+
+      if (element.tagName === "INPUT") return;
+
+      // Multi-line editors: every line or paragraph follows its own first
+      // strong character and aligns to its own start edge
+      element.setAttribute("data-rtl-live", "true");
+      element.style.textAlign = "start";
+      element.style.unicodeBidi = "plaintext";
+
+      if (isField) return;
+
+      element
+        .querySelectorAll("p, div, li, h1, h2, h3, h4, h5, h6, blockquote")
+        .forEach((block) => {
+          if (block.hasAttribute("dir")) return;
+          block.setAttribute("dir", "auto");
+          block.setAttribute("data-rtl-live-dir", "true");
+        });
     } catch (error) {
-      console.error("Error handling iframes:", error);
+      console.error("Error updating editable direction:", error, element);
     }
   }
 
@@ -240,282 +748,1394 @@ class ArabicRTLCorrector {
    * @param {Document|Element} root - Root element to scan from
    */
   scanDOM(root = document) {
-    if (!this.isEnabled || this.isProcessing) return;
+    if (!this.isEnabled) return;
 
     try {
+      // Candidates are filtered once they come near the viewport, which
+      // saves a getComputedStyle() call for everything off-screen
+      if (this.isLazy()) {
+        this.observeLazily(this.collectCandidates(root));
+        return;
+      }
+
+      const startedAt = performance.now();
       const elements = this.getTargetElements(root);
-      this.processElementsBatch(elements);
+      this.processElementsBatch(elements, "scan", startedAt);
     } catch (error) {
       console.error("Error scanning DOM:", error);
     }
   }
 
   /**
-   * Process elements in batches for better performance
-   * @param {Array} elements - Elements to process
+   * Whether elements are processed only as they come near the viewport
+   * @returns {boolean}
+   */
+  isLazy() {
+    return (
+      this.config.lazyProcessing && typeof IntersectionObserver !== "undefined"
+    );
+  }
+
+  /**
+   * Process elements once they come near the viewport
+   * @param {Array<Element>} elements - Candidate elements
+   */
+  observeLazily(elements) {
+    if (!this.viewportObserver) {
+      this.viewportObserver = new IntersectionObserver(
+        this.handleIntersections,
+        { rootMargin: this.lazyRootMargin }
+      );
+    }
+    elements.forEach((element) => this.viewportObserver.observe(element));
+  }
+
+  /**
+   * Queue candidates that came near the viewport
+   * @param {Array<IntersectionObserverEntry>} entries
+   */
+  handleIntersections(entries) {
+    if (!this.isEnabled) return;
+
+    const visible = [];
+    entries.forEach((entry) => {
+      if (!entry.isIntersecting) return;
+      this.viewportObserver.unobserve(entry.target);
+      visible.push(entry.target);
+    });
+    this.processElementsBatch(this.filterTargets(visible), "viewport");
+  }
+
+  /**
+   * Stop waiting for candidates to become visible
+   */
+  disconnectViewportObserver() {
+    if (this.viewportObserver) {
+      this.viewportObserver.disconnect();
+      this.viewportObserver = null;
+    }
+  }
+
+  /**
+   * Queue elements for processing in time slices
+   *
+   * Elements join the queue of the run in progress, if any, so nothing is
+   * lost while a batch is running and an element queued twice is processed
+   * once.
+   * @param {Array} elements - Elements to process
+   * @param {string} [source="scan"] - "scan", "mutation" or "viewport", for
+   *   diagnostics
+   * @param {number} [startedAt] - When the work began, if it began with
+   *   collecting the elements
+   */
+  processElementsBatch(
+    elements,
+    source = "scan",
+    startedAt = performance.now()
+  ) {
+    if (!elements.length) return;
+
+    elements.forEach((element) => this.elementQueue.add(element));
+    this.queueMetrics.peakLength = Math.max(
+      this.queueMetrics.peakLength,
+      this.getQueueLength()
+    );
+    this.startQueue(source, startedAt);
+  }
+
+  /**
+   * Start a run that drains the queues, or join the one in progress
+   * @param {string} source - What queued the work
+   * @param {number} [startedAt] - When the work began
+   */
+  startQueue(source, startedAt = performance.now()) {
+    if (this.queueRun) {
+      // A run that includes scanned elements reports as a scan
+      if (source !== "mutation") this.queueRun.source = source;
+      return;
+    }
+
+    this.isProcessing = true;
+    this.authorDirections = new WeakMap();
+    this.queueRun = {
+      source,
+      startedAt,
+      busyTime: performance.now() - startedAt,
+      processed: [],
+    };
+    this.scheduleSlice();
+  }
+
+  /**
+   * Run the next slice of queued work in an idle period, or on the next
+   * frame where idle callbacks aren't available
+   */
+  scheduleSlice() {
+    if (typeof requestIdleCallback === "function") {
+      this.sliceHandle = requestIdleCallback(this.processQueueSlice, {
+        timeout: this.idleTimeout,
+      });
+    } else {
+      this.sliceHandle = requestAnimationFrame(() =>
+        this.processQueueSlice(null)
+      );
+    }
+  }
+
+  /**
+   * Cancel a slice scheduled by scheduleSlice()
+   */
+  cancelSlice() {
+    if (this.sliceHandle === null) return;
+
+    if (typeof cancelIdleCallback === "function") {
+      cancelIdleCallback(this.sliceHandle);
+    } else {
+      cancelAnimationFrame(this.sliceHandle);
+    }
+    this.sliceHandle = null;
+  }
+
+  /**
+   * Resolve dirty nodes and process queued elements for one time slice
+   * @param {IdleDeadline|null} deadline - Idle period, if run as one
+   */
+  processQueueSlice(deadline) {
+    this.sliceHandle = null;
+    const run = this.queueRun;
+    if (!run || !this.isEnabled) return;
+
+    const startTime = performance.now();
+    const { maxProcessingTime } = this.config;
+    const budget =
+      deadline && !deadline.didTimeout
+        ? Math.max(1, Math.min(maxProcessingTime, deadline.timeRemaining()))
+        : maxProcessingTime;
+    const hasTime = () => performance.now() - startTime < budget;
+
+    try {
+      // Mutated nodes first, so their elements join this run
+      if (this.resolveDirty) {
+        const resolved = new Set();
+        for (const [node, flags] of this.dirtyNodes) {
+          if (!hasTime()) break;
+          this.dirtyNodes.delete(node);
+          this.resolveDirtyNode(node, flags, resolved);
+        }
+        if (!this.dirtyNodes.size) this.resolveDirty = false;
+
+        if (resolved.size) {
+          this.diagnostics.mutations.elements += resolved.size;
+          // Off-screen changes wait until they are scrolled into view
+          if (this.isLazy()) {
+            this.observeLazily(Array.from(resolved));
+          } else {
+            resolved.forEach((element) => this.elementQueue.add(element));
+          }
+        }
+      }
+
+      for (const element of this.elementQueue) {
+        if (!hasTime()) break;
+        this.elementQueue.delete(element);
+        if (element.isConnected) {
+          this.processElement(element);
+          run.processed.push(element);
+        }
+      }
+    } catch (error) {
+      console.error("Error processing queue:", error);
+    }
+    run.busyTime += performance.now() - startTime;
+
+    const hasDirtyNodes = this.resolveDirty && this.dirtyNodes.size > 0;
+    if (this.elementQueue.size || hasDirtyNodes) {
+      this.scheduleSlice();
+      return;
+    }
+
+    this.queueRun = null;
+    this.isProcessing = false;
+    if (this.config.mirrorStructures) {
+      this.mirrorStructures(run.processed);
+    }
+    this.recordBatch(
+      run.source,
+      run.processed.length,
+      run.startedAt,
+      run.busyTime
+    );
+    if (typeof this.config.onProcessed === "function") {
+      this.config.onProcessed(this);
+    }
+  }
+
+  /**
+   * Elements and dirty nodes waiting to be processed
+   * @returns {number}
+   */
+  getQueueLength() {
+    return this.elementQueue.size + this.dirtyNodes.size;
+  }
+
+  /**
+   * Current queue length and queue metrics
+   * @returns {{length: number, peakLength: number, dropped: number,
+   *   stale: number}}
+   */
+  getQueueMetrics() {
+    return { length: this.getQueueLength(), ...this.queueMetrics };
+  }
+
+  /**
+   * Empty the queues and stop the run in progress
+   */
+  clearQueue() {
+    clearTimeout(this.drainTimer);
+    this.drainTimer = null;
+    this.cancelSlice();
+    this.elementQueue.clear();
+    this.dirtyNodes.clear();
+    this.resolveDirty = false;
+    this.needsRescan = false;
+    this.queueRun = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Re-evaluate the lists, tables and blockquotes around processed elements
+   * @param {Array<Element>} elements - Elements that were just processed
+   */
+  mirrorStructures(elements) {
+    try {
+      const containers = new Set();
+      elements.forEach((element) => {
+        const container =
+          element.isConnected && element.closest(this.structureSelector);
+        if (container) containers.add(container);
+      });
+
+      containers.forEach((container) => this.updateStructureMirroring(container));
+    } catch (error) {
+      console.error("Error mirroring structures:", error);
+    }
+  }
+
+  /**
+   * Mirror a container when most of its items are RTL, and undo it when they
+   * no longer are
+   * @param {Element} container - ul, ol, table or blockquote
+   */
+  updateStructureMirroring(container) {
+    const isMirrored = this.mirroredOriginals.has(container);
+
+    // Leave containers whose direction the page sets itself
+    if (!isMirrored) {
+      if (this.isInPickedRegion(container)) return;
+
+      const author = this.getAuthorDirection(container);
+      if (author && (!author.inherited || author.direction === "rtl")) {
+        return;
+      }
+    }
+
+    const items = this.getStructureItems(container)
+      .map((item) => ({ item, text: item.textContent || "" }))
+      .filter(({ text }) => text.trim());
+    if (!items.length) return;
+
+    const rtlCount = items.filter(
+      ({ item, text }) =>
+        this.detectDirection(item, text, this.calculateArabicRatio(text)).isRTL
+    ).length;
+    const mostlyRTL = rtlCount > items.length / 2;
+
+    if (mostlyRTL && !isMirrored) {
+      this.mirrorContainer(container);
+    } else if (!mostlyRTL && isMirrored) {
+      this.unmirrorContainer(container);
+    }
+  }
+
+  /**
+   * Items whose direction decides whether a container is mirrored
+   * @param {Element} container - ul, ol, table or blockquote
+   * @returns {Array<Element>}
+   */
+  getStructureItems(container) {
+    switch (container.tagName) {
+      case "UL":
+      case "OL":
+        return Array.from(container.children).filter(
+          (child) => child.tagName === "LI"
+        );
+      case "TABLE":
+        return Array.from(container.rows).flatMap((row) =>
+          Array.from(row.cells)
+        );
+      default:
+        return [container];
+    }
+  }
+
+  /**
+   * Flip a container to RTL and swap its left and right paddings, margins
+   * and borders, so list markers, quote borders and table columns follow
+   * @param {Element} container - Container to mirror
+   */
+  mirrorContainer(container) {
+    try {
+      const { style } = container;
+      const computed = window.getComputedStyle(container);
+
+      // Read every resolved value before changing direction, which changes
+      // what logical properties resolve to
+      const resolved = {};
+      this.mirroredProperties.forEach((property) => {
+        resolved[property] = computed[property];
+      });
+
+      const originals = {};
+      this.mirroredProperties.forEach((property) => {
+        originals[property] = style[property];
+      });
+      this.mirroredOriginals.set(container, originals);
+
+      style.direction = "rtl";
+
+      const swap = (left, right) => {
+        // Equal sides (including centering auto margins) stay as they are
+        if (resolved[left] === resolved[right]) return;
+        style[left] = resolved[right];
+        style[right] = resolved[left];
+      };
+      swap("paddingLeft", "paddingRight");
+      swap("marginLeft", "marginRight");
+      ["Width", "Style", "Color"].forEach((part) =>
+        swap(`borderLeft${part}`, `borderRight${part}`)
+      );
+
+      container.setAttribute("data-rtl-mirrored", "true");
+    } catch (error) {
+      console.error("Error mirroring container:", error, container);
+    }
+  }
+
+  /**
+   * Undo mirrorContainer(), restoring the container's own inline styles
+   * @param {Element} container - Mirrored container
+   */
+  unmirrorContainer(container) {
+    const originals = this.mirroredOriginals.get(container);
+    if (!originals) return;
+
+    Object.assign(container.style, originals);
+    container.removeAttribute("data-rtl-mirrored");
+    this.mirroredOriginals.delete(container);
+  }
+
+  /**
+   * Get target elements for processing
+   * @param {Document|Element} root - Root element
+   * @returns {Array} Array of elements to process
+   */
+  getTargetElements(root) {
+    try {
+      return this.filterTargets(this.collectCandidates(root));
+    } catch (error) {
+      console.error("Error getting target elements:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Drop candidates that are excluded, skipped, invisible or unchanged
+   * since they were last processed
+   * @param {Array<Element>} elements - Candidate elements
+   * @returns {Array<Element>} Elements to process
+   */
+  filterTargets(elements) {
+    return elements.filter((el) => {
+      try {
+        // Skip regions excluded with the element picker
+        if (this.isInPickedRegion(el)) {
+          this.recordSkip(el, "excluded");
+          return false;
+        }
+
+        // Skip if matches skip selectors, unless picked explicitly
+        if (
+          !this.getForcedDirection(el) &&
+          this.skipSelectors.some((skipSel) => el.matches(skipSel))
+        ) {
+          this.recordSkip(el, "skip-selector");
+          return false;
+        }
+
+        // Skip if not visible
+        if (!this.isElementVisible(el)) {
+          this.recordSkip(el, "hidden");
+          return false;
+        }
+
+        // Skip if already processed and content hasn't changed
+        if (this.processedElements.has(el) && this.textCache.has(el)) {
+          const currentText = this.getElementText(el);
+          const cachedText = this.textCache.get(el);
+          if (currentText === cachedText) {
+            return false;
+          }
+        }
+
+        return true;
+      } catch (error) {
+        console.error("Error filtering element:", error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Every element that may be processed under a root, including open shadow
+   * roots (which are observed from then on), before any filtering
+   * @param {Document|Element} root - Root element
+   * @returns {Array<Element>}
+   */
+  collectCandidates(root) {
+    const selector = [
+      ...this.targetSelectors,
+      this.forceRTLSelector,
+      this.forceLTRSelector,
+    ]
+      .filter(Boolean)
+      .join(",");
+    const roots = [root];
+
+    // Descend into open shadow roots and keep them observed
+    this.findShadowRoots(root).forEach((shadowRoot) => {
+      this.observeShadowRoot(shadowRoot);
+      roots.push(shadowRoot);
+    });
+
+    const elements = new Set();
+    roots.forEach((searchRoot) => {
+      searchRoot.querySelectorAll(selector).forEach((el) => elements.add(el));
+
+      if (this.config.blockHeuristic) {
+        this.findTextBlocks(searchRoot).forEach((el) => elements.add(el));
+      }
+    });
+
+    return Array.from(elements);
+  }
+
+  /**
+   * Find block-level elements, whatever their tag, that directly own most of
+   * their text (through text nodes or inline children)
+   * @param {Document|Element|ShadowRoot} root - Where to look
+   * @returns {Array<Element>} Text blocks inside root
+   */
+  findTextBlocks(root) {
+    const start =
+      root.nodeType === Node.DOCUMENT_NODE ? root.body : root;
+    if (!start) return [];
+
+    // Letters owned by each block, in a single pass over the text nodes
+    const ownedLength = new Map();
+    const walker = document.createTreeWalker(start, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const length = node.data.replace(/\s+/g, "").length;
+      if (!length || node.parentElement.closest(this.textBlockSkipSelector)) {
+        continue;
+      }
+
+      const block = this.getTextBlock(node.parentElement);
+      if (block && (block === start || start.contains(block))) {
+        ownedLength.set(block, (ownedLength.get(block) || 0) + length);
+      }
+    }
+
+    const blocks = [];
+    ownedLength.forEach((owned, block) => {
+      if (block.tagName === "BODY" || block.tagName === "HTML") return;
+
+      const total = (block.textContent || "").replace(/\s+/g, "").length;
+      if (total > 0 && owned / total >= this.minOwnedTextRatio) {
+        blocks.push(block);
+      }
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Nearest ancestor (or self) that is not an inline element
+   * @param {Element} element - Element to start from
+   * @returns {Element|null}
+   */
+  getTextBlock(element) {
+    let current = element;
+    while (current && this.inlineTags.has(current.tagName)) {
+      current = current.parentElement;
+    }
+    return current;
+  }
+
+  /**
+   * Check whether a single element qualifies as a text block
+   * @param {Element} element - Candidate block
+   * @returns {boolean}
+   */
+  isTextBlock(element) {
+    if (!this.config.blockHeuristic || !element) return false;
+    if (this.inlineTags.has(element.tagName)) return false;
+    return this.findTextBlocks(element).includes(element);
+  }
+
+  /**
+   * Check whether an element should be processed on its own
+   * @param {Element} element - Element to check
+   * @returns {boolean}
+   */
+  isTargetElement(element) {
+    return (
+      this.targetSelectors.some((selector) => element.matches(selector)) ||
+      this.getForcedDirection(element) !== null ||
+      this.isTextBlock(element)
+    );
+  }
+
+  /**
+   * Check if element is visible
+   * @param {Element} element - Element to check
+   * @returns {boolean} True if element is visible
+   */
+  isElementVisible(element) {
+    try {
+      if (
+        !element.offsetParent &&
+        element.offsetHeight === 0 &&
+        element.offsetWidth === 0
+      ) {
+        return false;
+      }
+
+      const style = window.getComputedStyle(element);
+      return (
+        style.display !== "none" &&
+        style.visibility !== "hidden" &&
+        style.opacity !== "0"
+      );
+    } catch (error) {
+      console.error("Error checking element visibility:", error);
+      return true; // Default to visible if check fails
+    }
+  }
+
+  /**
+   * Process individual element for Arabic content
+   * @param {Element} element - Element to process
+   */
+  processElement(element) {
+    try {
+      if (!element || !element.isConnected) return;
+
+      // Regions excluded with the element picker are left untouched
+      if (this.isInPickedRegion(element)) return;
+
+      // Picked elements get the direction the user chose, whatever the text
+      const forced = this.getForcedDirection(element);
+      if (forced) {
+        this.applyForcedDirection(element, forced);
+        this.processedElements.add(element);
+        return;
+      }
+
+      // Live editors are handled by updateEditableDirection() as you type
+      if (element.closest('[data-rtl-live="true"]')) return;
+
+      const text = this.getElementText(element);
+
+      if (!text || text.trim().length < 3) {
+        this.recordSkip(element, "too-short");
+        return;
+      }
+
+      const arabicRatio = this.calculateArabicRatio(text);
+      const decision = this.detectDirection(element, text, arabicRatio);
+
+      if (decision.isRTL) {
+        this.applyRTLStyles(element, arabicRatio, decision.reason);
+
+        // Native numerals only make sense in Arabic-script text
+        if (
+          this.config.numeralStyle &&
+          this.config.numeralStyle !== "off" &&
+          element.getAttribute("data-rtl-script") === "arabic"
+        ) {
+          this.convertNumerals(element);
+        }
+      } else {
+        this.recordSkip(element, "ltr-text", arabicRatio);
+      }
+
+      if (this.config.bidiIsolation && arabicRatio > 0) {
+        this.isolateBidiRuns(element);
+      }
+
+      // Mark as processed
+      this.processedElements.add(element);
+    } catch (error) {
+      console.error("Error processing element:", error, element);
+    }
+  }
+
+  /**
+   * Decide whether an element's text is RTL using the configured strategy
+   * @param {Element} element - Element being processed
+   * @param {string} text - Element text
+   * @param {number} arabicRatio - Ratio of Arabic letters in the text
+   * @returns {{isRTL: boolean, reason: string, ratio: number}} Decision and
+   *   the rule that made it
+   */
+  detectDirection(element, text, arabicRatio) {
+    return this.detector.detect(text, {
+      tagName: element.tagName,
+      ratio: arabicRatio,
+      strategy: this.config.detectionStrategy,
+      threshold: this.config.arabicThreshold,
+    });
+  }
+
+  /**
+   * Direction of the first strong (letter) character, as dir="auto" does
+   * @param {string} text - Text to inspect
+   * @returns {string|null} "rtl", "ltr", or null if there are no letters
+   */
+  getFirstStrongDirection(text) {
+    return this.detector.getFirstStrongDirection(text);
+  }
+
+  /**
+   * Show the digits in an element's text in the configured numeral style
+   * @param {Element} element - Element detected as Arabic
+   */
+  convertNumerals(element) {
+    try {
+      if (element.tagName === "INPUT" || element.tagName === "TEXTAREA") {
+        return;
+      }
+
+      const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) =>
+          /[0-9\u0660-\u0669\u06F0-\u06F9]/.test(node.data) &&
+          !this.isNumeralSkipped(node.parentElement)
+            ? NodeFilter.FILTER_ACCEPT
+            : NodeFilter.FILTER_REJECT,
+      });
+
+      const textNodes = [];
+      while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+      }
+
+      textNodes.forEach((node) => {
+        const converted = this.convertDigits(node.data);
+        if (converted === node.data) return;
+
+        // Text the page changed since the last conversion is the new original
+        const entry = this.numeralTextNodes.get(node);
+        const original =
+          entry && entry.converted === node.data ? entry.original : node.data;
+
+        node.data = converted;
+        this.numeralTextNodes.set(node, { original, converted });
+      });
+    } catch (error) {
+      console.error("Error converting numerals:", error, element);
+    } finally {
+      this.discardOwnMutations();
+    }
+  }
+
+  /**
+   * Whether digits inside an element must be left as written
+   * @param {Element} element - Parent of a text node
+   * @returns {boolean}
+   */
+  isNumeralSkipped(element) {
+    return (
+      !element ||
+      Boolean(element.closest(this.numeralSkipSelector)) ||
+      this.skipSelectors.some((selector) => element.closest(selector)) ||
+      this.isInPickedRegion(element)
+    );
+  }
+
+  /**
+   * Replace digits with the configured numeral style, leaving URLs alone
+   * @param {string} text - Text to convert
+   * @returns {string} Converted text
+   */
+  convertDigits(text) {
+    return this.detector.convertDigits(text, this.config.numeralStyle);
+  }
+
+  /**
+   * Put back the digits changed by convertNumerals()
+   */
+  restoreNumerals() {
+    try {
+      this.numeralTextNodes.forEach(({ original, converted }, node) => {
+        // Leave text the page has replaced since
+        if (node.data === converted) {
+          node.data = original;
+        }
+      });
+    } catch (error) {
+      console.error("Error restoring numerals:", error);
+    } finally {
+      this.numeralTextNodes.clear();
+      this.discardOwnMutations();
+    }
+  }
+
+  /**
+   * Wrap runs of the opposite direction inside an element's text in <bdi>
+   * @param {Element} element - Element whose text nodes should be split
+   */
+  isolateBidiRuns(element) {
+    try {
+      if (
+        element.tagName === "INPUT" ||
+        element.tagName === "TEXTAREA" ||
+        this.isContentEditable(element)
+      ) {
+        return;
+      }
+
+      const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) =>
+          node.data.trim() &&
+          !node.parentElement.closest(this.isolationSkipSelector)
+            ? NodeFilter.FILTER_ACCEPT
+            : NodeFilter.FILTER_REJECT,
+      });
+
+      const textNodes = [];
+      while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+      }
+
+      // Base direction of each parent, after any RTL styles were applied
+      const directions = new Map();
+      textNodes.forEach((node) => {
+        const parent = node.parentElement;
+        if (!directions.has(parent)) {
+          directions.set(parent, this.getEffectiveDirection(parent));
+        }
+        this.isolateTextNode(node, directions.get(parent));
+      });
+    } catch (error) {
+      console.error("Error isolating bidi runs:", error, element);
+    } finally {
+      this.discardOwnMutations();
+    }
+  }
+
+  /**
+   * Replace a text node with plain text and <bdi> runs
+   * @param {Text} node - Text node to split
+   * @param {string} baseDirection - Direction of the surrounding paragraph
+   */
+  isolateTextNode(node, baseDirection) {
+    const runs = this.detector.splitRuns(node.data, baseDirection);
+    if (!runs.length) return;
+
+    const pieces = runs.map(({ text, direction }) => {
+      if (!direction) return document.createTextNode(text);
+
+      const bdi = document.createElement("bdi");
+      bdi.setAttribute("dir", direction);
+      bdi.setAttribute("data-rtl-bidi", "true");
+      bdi.textContent = text;
+      return bdi;
+    });
+
+    node.replaceWith(...pieces);
+    this.isolatedTextNodes.set(node, pieces);
+  }
+
+  /**
+   * Put back the original text nodes replaced by isolateTextNode()
+   */
+  restoreBidiRuns() {
+    try {
+      // Undo in reverse order so runs split twice are rebuilt correctly
+      Array.from(this.isolatedTextNodes.entries())
+        .reverse()
+        .forEach(([original, pieces]) => {
+          const connected = pieces.filter((piece) => piece.isConnected);
+          if (!connected.length) return;
+
+          const text = connected.map((piece) => piece.textContent).join("");
+          if (original.data !== text) {
+            original.data = text;
+          }
+
+          connected[0].before(original);
+          connected.forEach((piece) => piece.remove());
+        });
+    } catch (error) {
+      console.error("Error restoring bidi runs:", error);
+    } finally {
+      this.isolatedTextNodes.clear();
+      this.discardOwnMutations();
+    }
+  }
+
+  /**
+   * Get text content from element based on its type
+   * @param {Element} element - Element to extract text from
+   * @returns {string} Text content
+   */
+  getElementText(element) {
+    try {
+      let text = "";
+
+      if (element.tagName === "INPUT" || element.tagName === "TEXTAREA") {
+        text = (element.value || "") + " " + (element.placeholder || "");
+      } else if (element.hasAttribute("contenteditable")) {
+        text = element.textContent || element.innerText || "";
+      } else {
+        // For regular elements, get direct text content only
+        text = element.textContent || element.innerText || "";
+      }
+
+      // Cache the result
+      this.textCache.set(element, text);
+      return text;
+    } catch (error) {
+      console.error("Error getting element text:", error);
+      return "";
+    }
+  }
+
+  /**
+   * Calculate the ratio of RTL letters (Arabic and the other enabled
+   * scripts) in text
+   * @param {string} text - Text to analyze
+   * @returns {number} Ratio of RTL letters (0-1)
+   */
+  calculateArabicRatio(text) {
+    try {
+      return this.detector.calculateRatio(text);
+    } catch (error) {
+      console.error("Error calculating Arabic ratio:", error);
+      return 0;
+    }
+  }
+
+  /**
+   * Apply RTL styles to an element
+   *
+   * Bidi model: every RTL element gets dir="rtl", which sets the base
+   * direction of its paragraphs and, on inline elements, isolates them from
+   * the surrounding text (the browser's own [dir] { unicode-bidi: isolate }).
+   * On top of that, unless in minimal intervention mode:
+   * - block-level elements get an alignment; unicode-bidi has no effect on a
+   *   block's own paragraphs, so none is set
+   * - inline-level elements get unicode-bidi: isolate inline, in case the
+   *   site's CSS resets it, and no alignment
+   * - editable fields get unicode-bidi: plaintext and start alignment, so
+   *   each line or paragraph follows its own first strong letter
+   * Embedding and bidi-override are never used: an embedding leaks its
+   * direction into the neighbouring text, and an override reverses Latin
+   * text outright. Forced directions (applyForcedDirection) use an inline
+   * direction with isolation instead, as they must beat the page's dir.
+   * @param {Element} element - Element to style
+   * @param {number} arabicRatio - Ratio of Arabic content
+   * @param {string} [reason="threshold"] - Rule that made the element RTL,
+   *   kept in data-rtl-reason for the stats
+   */
+  applyRTLStyles(element, arabicRatio, reason = "threshold") {
+    try {
+      // Respect the direction the page author chose
+      const conflict = this.getDirectionConflict(element);
+      if (conflict) {
+        this.recordSkip(element, conflict, arabicRatio);
+        return;
+      }
+
+      // Skip if already has RTL applied with same ratio
+      const existingRatio = element.getAttribute("data-arabic-ratio");
+      if (
+        existingRatio &&
+        Math.abs(parseFloat(existingRatio) - arabicRatio) < 0.01
+      ) {
+        return;
+      }
+
+      element.setAttribute("dir", "rtl");
+      element.setAttribute("data-rtl-dir", "true");
+
+      // Minimal intervention leaves alignment and the rest to the site's CSS
+      if (!this.config.minimalIntervention) {
+        const styles = this.getBidiStyles(element);
+
+        // Add smooth transition only if visual feedback is enabled
+        if (this.config.enableVisualFeedback) {
+          styles.transition = "all 0.3s ease";
+        }
+
+        Object.assign(element.style, styles);
+      }
+
+      element.setAttribute("data-rtl-applied", "true");
+      element.setAttribute("data-arabic-ratio", arabicRatio.toFixed(2));
+      element.setAttribute("data-rtl-reason", reason);
+      this.setScriptAttribute(element);
+      this.recordApplied(element, reason, arabicRatio);
+
+      this.applyTypography(element);
+    } catch (error) {
+      console.error("Error applying RTL styles:", error, element);
+    }
+  }
+
+  /**
+   * Inline styles for an RTL element on top of its dir attribute, following
+   * the bidi model described at applyRTLStyles()
+   * @param {Element} element - Element detected as RTL
+   * @returns {Object} Style properties
+   */
+  getBidiStyles(element) {
+    switch (this.getBidiRole(element)) {
+      case "field":
+        return { unicodeBidi: "plaintext", textAlign: "start" };
+      case "inline":
+        return { unicodeBidi: "isolate" };
+      default:
+        return { textAlign: this.getBestTextAlign(element) };
+    }
+  }
+
+  /**
+   * How an element takes part in bidi layout
+   * @param {Element} element - Element to check
+   * @returns {string} "field" for inputs, textareas and editors, "inline"
+   *   for inline-level elements, "block" for everything else
+   */
+  getBidiRole(element) {
+    if (
+      element.tagName === "INPUT" ||
+      element.tagName === "TEXTAREA" ||
+      this.isContentEditable(element)
+    ) {
+      return "field";
+    }
+
+    // Inline-block and the like are atomic and already isolated, so only
+    // plain inline boxes count as inline
+    const display = window.getComputedStyle(element).display;
+    if (display) return display === "inline" ? "inline" : "block";
+    return this.inlineTags.has(element.tagName) ? "inline" : "block";
+  }
+
+  /**
+   * Why an element detected as RTL should not be changed
+   *
+   * An explicit dir="ltr" or dir="auto" on the element, or a direction its
+   * stylesheet sets, is left alone, and so is text that is already RTL
+   * because of the page's own dir or CSS. In minimal intervention mode only
+   * elements whose effective direction is still LTR are changed.
+   * @param {Element} element - Element detected as RTL
+   * @returns {string|null} "author-direction" or "already-rtl", or null when
+   *   the element should be made RTL
+   */
+  getDirectionConflict(element) {
+    const author = this.getAuthorDirection(element);
+    if (author) {
+      if (author.direction === "rtl") return "already-rtl";
+      if (!author.inherited) return "author-direction";
+    }
+
+    // dir="auto" on an ancestor may already resolve to RTL
+    const checkEffective =
+      this.config.minimalIntervention || (author && author.direction === "auto");
+    if (
+      checkEffective &&
+      !this.isCorrectorDirection(element) &&
+      this.getEffectiveDirection(element) === "rtl"
+    ) {
+      return "already-rtl";
+    }
+
+    return null;
+  }
+
+  /**
+   * Direction the page author set on an element or one of its ancestors,
+   * through a dir attribute or CSS, ignoring anything the corrector set
+   * @param {Element} element - Element to check
+   * @returns {{direction: string, inherited: boolean}|null} "ltr", "rtl" or
+   *   "auto", and whether it comes from an ancestor; null when nothing on
+   *   the way up to the root sets a direction
+   */
+  getAuthorDirection(element) {
+    const walked = [];
+    let node = element;
+    let found = null;
+
+    while (node) {
+      // An ancestor already resolved in this run answers for the rest of
+      // the way up
+      if (this.authorDirections.has(node)) {
+        found = this.authorDirections.get(node);
+        break;
+      }
+      walked.push(node);
+
+      const parent =
+        node.parentElement ||
+        (node.parentNode && node.parentNode.host) ||
+        null;
+
+      if (!this.isCorrectorDirection(node)) {
+        const dir = (node.getAttribute("dir") || "").trim().toLowerCase();
+        if (["ltr", "rtl", "auto"].includes(dir)) {
+          found = { direction: dir, node };
+          break;
+        }
+
+        // Direction from the site's CSS: an inline style, a readable
+        // stylesheet rule, or a computed direction that differs from the
+        // parent's (rules in cross-origin sheets); on the root only RTL is a
+        // choice
+        const direction = window.getComputedStyle(node).direction;
+        if (
+          direction &&
+          (node.style.direction ||
+            this.matchesDirectionRule(node) ||
+            (parent
+              ? direction !== this.getEffectiveDirection(parent)
+              : direction === "rtl"))
+        ) {
+          found = { direction, node };
+          break;
+        }
+      }
+
+      node = parent;
+    }
+
+    walked.forEach((walkedNode) =>
+      this.authorDirections.set(walkedNode, found)
+    );
+
+    return (
+      found && { direction: found.direction, inherited: found.node !== element }
+    );
+  }
+
+  /**
+   * Whether a stylesheet rule that sets direction applies to an element
+   * @param {Element} element - Element to check
+   * @returns {boolean}
+   */
+  matchesDirectionRule(element) {
+    return this.getDirectionRuleSelectors(element.getRootNode()).some(
+      (selector) => {
+        try {
+          return element.matches(selector);
+        } catch (error) {
+          return false;
+        }
+      }
+    );
+  }
+
+  /**
+   * Selectors of the rules that set direction in a document's or shadow
+   * root's stylesheets. Cross-origin sheets can't be read and are skipped.
+   * @param {Document|ShadowRoot} root - Root to read
+   * @returns {Array<string>}
    */
-  processElementsBatch(elements) {
-    if (!elements.length || this.isProcessing) return;
-
-    this.isProcessing = true;
-    let currentIndex = 0;
-
-    const processChunk = () => {
-      const startTime = performance.now();
-
-      while (
-        currentIndex < elements.length &&
-        performance.now() - startTime < this.config.maxProcessingTime
-      ) {
-        const element = elements[currentIndex];
-        if (element && element.isConnected) {
-          // Check if element is still in DOM
-          this.processElement(element);
+  getDirectionRuleSelectors(root) {
+    const sheets = Array.from(root.styleSheets || []);
+    const cached = this.directionRules.get(root);
+    if (cached && cached.count === sheets.length) return cached.selectors;
+
+    const selectors = [];
+    const collect = (rules) => {
+      Array.from(rules).forEach((rule) => {
+        if (rule.selectorText && rule.style && rule.style.direction) {
+          selectors.push(rule.selectorText);
         }
-        currentIndex++;
-      }
+        // Rules inside @media, @supports and the like
+        if (rule.cssRules) collect(rule.cssRules);
+      });
+    };
 
-      if (currentIndex < elements.length) {
-        // Schedule next chunk
-        requestAnimationFrame(processChunk);
-      } else {
-        this.isProcessing = false;
+    sheets.forEach((sheet) => {
+      try {
+        collect(sheet.cssRules);
+      } catch (error) {
+        // Cross-origin stylesheet
       }
-    };
+    });
 
-    requestAnimationFrame(processChunk);
+    this.directionRules.set(root, { count: sheets.length, selectors });
+    return selectors;
   }
 
   /**
-   * Get target elements for processing
-   * @param {Document|Element} root - Root element
-   * @returns {Array} Array of elements to process
+   * Direction an element is actually rendered in
+   * @param {Element} element - Element to check
+   * @returns {string} "rtl" or "ltr"
    */
-  getTargetElements(root) {
-    try {
-      const selector = this.targetSelectors.join(",");
-      const elements = Array.from(root.querySelectorAll(selector));
-
-      // Filter out elements that should be skipped
-      return elements.filter((el) => {
-        try {
-          // Skip if matches skip selectors
-          if (this.skipSelectors.some((skipSel) => el.matches(skipSel))) {
-            return false;
-          }
-
-          // Skip if not visible
-          if (!this.isElementVisible(el)) {
-            return false;
-          }
-
-          // Skip if already processed and content hasn't changed
-          if (this.processedElements.has(el) && this.textCache.has(el)) {
-            const currentText = this.getElementText(el);
-            const cachedText = this.textCache.get(el);
-            if (currentText === cachedText) {
-              return false;
-            }
-          }
+  getEffectiveDirection(element) {
+    const direction = window.getComputedStyle(element).direction;
+    if (direction) return direction;
 
-          return true;
-        } catch (error) {
-          console.error("Error filtering element:", error);
-          return false;
-        }
-      });
+    // Without computed styles, :dir() still sees dir attributes
+    try {
+      return element.matches(":dir(rtl)") ? "rtl" : "ltr";
     } catch (error) {
-      console.error("Error getting target elements:", error);
-      return [];
+      return "ltr";
     }
   }
 
   /**
-   * Check if element is visible
+   * Whether an element's direction was set by the corrector
    * @param {Element} element - Element to check
-   * @returns {boolean} True if element is visible
+   * @returns {boolean}
    */
-  isElementVisible(element) {
-    try {
-      if (
-        !element.offsetParent &&
-        element.offsetHeight === 0 &&
-        element.offsetWidth === 0
-      ) {
-        return false;
-      }
+  isCorrectorDirection(element) {
+    return this.correctorDirectionAttributes.some((name) =>
+      element.hasAttribute(name)
+    );
+  }
 
-      const style = window.getComputedStyle(element);
-      return (
-        style.display !== "none" &&
-        style.visibility !== "hidden" &&
-        style.opacity !== "0"
-      );
-    } catch (error) {
-      console.error("Error checking element visibility:", error);
-      return true; // Default to visible if check fails
+  /**
+   * Record the main RTL script of an element for the stats
+   * @param {Element} element - Element styled as RTL
+   */
+  setScriptAttribute(element) {
+    const script = this.getDominantScript(this.getElementText(element));
+    if (script) {
+      element.setAttribute("data-rtl-script", script);
+    } else {
+      element.removeAttribute("data-rtl-script");
     }
   }
 
   /**
-   * Process individual element for Arabic content
-   * @param {Element} element - Element to process
+   * Apply the optional Arabic typography layer: font stack, line height,
+   * size boost and no letter-spacing
+   * @param {Element} element - Element detected as Arabic
    */
-  processElement(element) {
-    try {
-      if (!element || !element.isConnected) return;
+  applyTypography(element) {
+    if (
+      !this.config.typography ||
+      this.typographyOriginals.has(element) ||
+      element.getAttribute("data-rtl-script") !== "arabic"
+    ) {
+      return;
+    }
 
-      const text = this.getElementText(element);
+    try {
+      const { style } = element;
+      const computed = window.getComputedStyle(element);
+
+      this.typographyOriginals.set(element, {
+        fontFamily: style.fontFamily,
+        fontSize: style.fontSize,
+        lineHeight: style.lineHeight,
+        letterSpacing: style.letterSpacing,
+      });
 
-      if (!text || text.trim().length < 3) {
-        return;
+      const fontFamily = this.getTypographyFontFamily(computed.fontFamily);
+      if (fontFamily) {
+        style.fontFamily = fontFamily;
       }
-
-      const arabicRatio = this.calculateArabicRatio(text);
-
-      // Always check span, h1, a, and p for Arabic and apply RTL if needed
+      // Letter-spacing pulls the joined letters of cursive Arabic apart
+      style.letterSpacing = "normal";
+      style.lineHeight = String(this.config.typographyLineHeight);
+
+      // Nested elements inherit a boosted size, so only the outermost
+      // element of a subtree is boosted
+      const boost = this.config.typographySizeBoost;
+      const fontSize = parseFloat(computed.fontSize);
+      const parent = element.parentElement;
       if (
-        ["SPAN", "H1", "A", "P"].includes(element.tagName) &&
-        arabicRatio > 0
+        boost > 1 &&
+        Number.isFinite(fontSize) &&
+        !(parent && parent.closest("[data-rtl-typography-size]"))
       ) {
-        this.applyRTLStyles(element, arabicRatio);
-      } else if (arabicRatio >= this.config.arabicThreshold) {
-        this.applyRTLStyles(element, arabicRatio);
+        element
+          .querySelectorAll("[data-rtl-typography-size]")
+          .forEach((child) => {
+            child.style.fontSize = this.typographyOriginals.get(child).fontSize;
+            child.removeAttribute("data-rtl-typography-size");
+          });
+
+        style.fontSize = `${(fontSize * boost).toFixed(2)}px`;
+        element.setAttribute("data-rtl-typography-size", "true");
       }
 
-      // Mark as processed
-      this.processedElements.add(element);
+      element.setAttribute("data-rtl-typography", "true");
     } catch (error) {
-      console.error("Error processing element:", error, element);
+      console.error("Error applying typography:", error, element);
     }
   }
 
   /**
-   * Get text content from element based on its type
-   * @param {Element} element - Element to extract text from
-   * @returns {string} Text content
+   * Font family for Arabic text: the page's own fonts first, so Latin text
+   * keeps its look, then the chosen Arabic stack ahead of the generic family
+   * that would otherwise pick a fallback font for the Arabic letters
+   * @param {string} pageFamily - Computed font-family of the element
+   * @returns {string} New font-family, or "" to keep the page's fonts
    */
-  getElementText(element) {
-    try {
-      let text = "";
-
-      if (element.tagName === "INPUT" || element.tagName === "TEXTAREA") {
-        text = (element.value || "") + " " + (element.placeholder || "");
-      } else if (element.hasAttribute("contenteditable")) {
-        text = element.textContent || element.innerText || "";
-      } else {
-        // For regular elements, get direct text content only
-        text = element.textContent || element.innerText || "";
-      }
-
-      // Cache the result
-      this.textCache.set(element, text);
-      return text;
-    } catch (error) {
-      console.error("Error getting element text:", error);
-      return "";
-    }
+  getTypographyFontFamily(pageFamily) {
+    const { typographyFont, typographyCustomFont } = this.config;
+    const stack =
+      typographyFont === "custom"
+        ? (typographyCustomFont || "")
+            .split(",")
+            .map((family) => family.trim().replace(/["\\]/g, ""))
+            .filter(Boolean)
+            .map((family) => `"${family}"`)
+        : this.fontStacks[typographyFont];
+
+    if (!stack || !stack.length) return "";
+
+    const families = (pageFamily || "")
+      .split(",")
+      .map((family) => family.trim())
+      .filter(Boolean);
+    const isGeneric = (family) =>
+      this.genericFontFamilies.has(family.replace(/["']/g, "").toLowerCase());
+
+    const generic = families.filter(isGeneric);
+    return [
+      ...families.filter((family) => !isGeneric(family)),
+      ...stack,
+      ...(generic.length ? generic : ["sans-serif"]),
+    ].join(", ");
   }
 
   /**
-   * Calculate the ratio of Arabic characters in text
-   * @param {string} text - Text to analyze
-   * @returns {number} Ratio of Arabic characters (0-1)
+   * Undo applyTypography(), restoring the element's own inline styles
+   * @param {Element} element - Element to restore
    */
-  calculateArabicRatio(text) {
-    try {
-      if (!text || text.trim().length === 0) return 0;
-
-      // Remove whitespace, punctuation, and LTR preserve patterns
-      const cleanText = text
-        .replace(/\s+/g, "") // Remove whitespace
-        .replace(this.ltrPreserveRegex, "") // Remove numbers and URLs
-        .replace(/[^\p{L}]/gu, ""); // Keep only letters
-
-      if (cleanText.length === 0) return 0;
-
-      const arabicMatches = cleanText.match(this.arabicRegex) || [];
-      return arabicMatches.length / cleanText.length;
-    } catch (error) {
-      console.error("Error calculating Arabic ratio:", error);
-      return 0;
-    }
+  removeTypography(element) {
+    const original = this.typographyOriginals.get(element);
+    if (!original) return;
+
+    Object.assign(element.style, original);
+    element.removeAttribute("data-rtl-typography");
+    element.removeAttribute("data-rtl-typography-size");
+    this.typographyOriginals.delete(element);
   }
 
   /**
-   * Apply RTL styles to an element
+   * Apply the direction chosen for an element with the element picker
    * @param {Element} element - Element to style
-   * @param {number} arabicRatio - Ratio of Arabic content
+   * @param {string} direction - "rtl" or "ltr"
    */
-  applyRTLStyles(element, arabicRatio) {
+  applyForcedDirection(element, direction) {
     try {
-      // Don't override explicit LTR direction
-      if (
-        element.hasAttribute("dir") &&
-        element.getAttribute("dir").toLowerCase() === "ltr"
-      ) {
-        return;
-      }
-
-      // Skip if already has RTL applied with same ratio
-      const existingRatio = element.getAttribute("data-arabic-ratio");
-      if (
-        existingRatio &&
-        Math.abs(parseFloat(existingRatio) - arabicRatio) < 0.01
-      ) {
-        return;
-      }
-
-      // Apply RTL styling
-      // Only apply direction for text elements, not for div
-      const tagName = element.tagName;
       const styles = {
-        textAlign: this.getBestTextAlign(element),
-        unicodeBidi: arabicRatio > 0.7 ? "bidi-override" : "plaintext",
+        direction,
+        unicodeBidi: "isolate",
+        textAlign: direction === "rtl" ? "right" : "left",
       };
-      if (tagName !== "DIV") {
-        styles.direction = "rtl";
-        styles.unicodeBidi = "embed"; 
-        styles.textAlign = 'right';
-      }
 
-      // Add smooth transition only if visual feedback is enabled
       if (this.config.enableVisualFeedback) {
         styles.transition = "all 0.3s ease";
       }
 
       Object.assign(element.style, styles);
-
-      element.setAttribute("data-rtl-applied", "true");
-      element.setAttribute("data-arabic-ratio", arabicRatio.toFixed(2));
+      element.setAttribute("data-rtl-forced", direction);
+
+      // Forced RTL elements count towards the stats like detected ones
+      if (direction === "rtl") {
+        const ratio = this.calculateArabicRatio(this.getElementText(element));
+        element.setAttribute("data-rtl-applied", "true");
+        element.setAttribute("data-arabic-ratio", ratio.toFixed(2));
+        element.setAttribute("data-rtl-reason", "forced");
+        this.setScriptAttribute(element);
+        this.recordApplied(element, "forced", ratio);
+        this.applyTypography(element);
+      } else {
+        this.recordSkip(element, "forced");
+      }
     } catch (error) {
-      console.error("Error applying RTL styles:", error, element);
+      console.error("Error applying forced direction:", error, element);
     }
   }
 
+  /**
+   * Force a direction on an element until the page is reloaded
+   * @param {Element} element - Element to change
+   * @param {string} direction - "rtl" or "ltr"
+   */
+  forceDirection(element, direction) {
+    this.manualDirections.set(element, direction);
+    this.removeRTLStyles(element);
+    this.applyForcedDirection(element, direction);
+    this.processedElements.add(element);
+  }
+
+  /**
+   * Leave an element and everything inside it alone until the page is
+   * reloaded, undoing what was applied there
+   * @param {Element} element - Region to exclude
+   */
+  excludeElement(element) {
+    this.manualExclusions.add(element);
+
+    // Bidi runs and numerals are restored page-wide, so re-evaluate the page
+    // as updateConfig() does
+    this.clearQueue();
+    this.removeAllRTLStyles();
+    this.processedElements = new WeakSet();
+    this.textCache = new WeakMap();
+    this.scanDOM();
+  }
+
   /**
    * Determine the best text alignment for the element
    * @param {Element} element
    * @returns {string}
    */
   getBestTextAlign(element) {
-    try {
-      const tagName = element.tagName;
+    return RTLDetector.getTextAlign(element.tagName);
+  }
 
-      if (tagName === "BUTTON") return "center";
-      if (["TD", "TH"].includes(tagName)) return "inherit";
-      if (
-        tagName === "INPUT" ||
-        tagName === "TEXTAREA" ||
-        element.hasAttribute("contenteditable")
-      ) {
-        return "right";
-      }
-      return "right";
-    } catch (error) {
-      console.error("Error determining text alignment:", error);
-      return "right";
+  /**
+   * Remove RTL styling from a single element
+   * @param {Element} element - Element to restore
+   */
+  removeRTLStyles(element) {
+    if (element.hasAttribute("data-rtl-dir")) {
+      element.removeAttribute("dir");
+      element.removeAttribute("data-rtl-dir");
     }
+    element.style.direction = "";
+    element.style.textAlign = "";
+    element.style.unicodeBidi = "";
+    element.style.transition = "";
+    element.removeAttribute("data-rtl-applied");
+    element.removeAttribute("data-arabic-ratio");
+    element.removeAttribute("data-rtl-reason");
+    element.removeAttribute("data-rtl-forced");
+    element.removeAttribute("data-rtl-script");
+    this.removeTypography(element);
+    this.processedElements.delete(element);
+    this.textCache.delete(element);
   }
 
   /**
@@ -523,24 +2143,68 @@ class ArabicRTLCorrector {
    */
   removeAllRTLStyles() {
     try {
-      const rtlElements = document.querySelectorAll(
+      // Mirrored containers first: their saved styles can include RTL styles
+      // that removeRTLStyles() then clears
+      this.querySelectorAllRoots("[data-rtl-mirrored]").forEach((container) =>
+        this.unmirrorContainer(container)
+      );
+
+      const rtlElements = this.querySelectorAllRoots(
         '[data-rtl-applied="true"]'
       );
-      rtlElements.forEach((element) => {
-        element.style.direction = "";
+      rtlElements.forEach((element) => this.removeRTLStyles(element));
+      this.querySelectorAllRoots("[data-rtl-forced]").forEach((element) =>
+        this.removeRTLStyles(element)
+      );
+
+      // Undo live editing styles
+      this.querySelectorAllRoots('[data-rtl-live="true"]').forEach((element) => {
         element.style.textAlign = "";
         element.style.unicodeBidi = "";
-        element.style.transition = "";
-        element.removeAttribute("data-rtl-applied");
-        element.removeAttribute("data-arabic-ratio");
-        this.processedElements.delete(element);
-        this.textCache.delete(element);
+        element.removeAttribute("data-rtl-live");
+      });
+      this.querySelectorAllRoots("[data-rtl-live-dir]").forEach((block) => {
+        block.removeAttribute("dir");
+        block.removeAttribute("data-rtl-live-dir");
       });
+
+      // Bidi runs first: rejoining them restores the converted text nodes
+      this.restoreBidiRuns();
+      this.restoreNumerals();
+      this.skippedElements.clear();
+      this.decisions.clear();
     } catch (error) {
       console.error("Error removing RTL styles:", error);
     }
   }
 
+  /**
+   * Apply new configuration to a running corrector
+   * @param {Object} options - Configuration values to merge
+   */
+  updateConfig(options = {}) {
+    try {
+      this.config = { ...this.config, ...options };
+      this.buildSelectors();
+      this.buildScriptPatterns();
+      this.directionRules = new WeakMap();
+      this.authorDirections = new WeakMap();
+      this.clearQueue();
+      this.disconnectViewportObserver();
+
+      if (!this.isEnabled) return;
+
+      // Re-evaluate every element against the new configuration, including
+      // ones that were processed but left alone
+      this.removeAllRTLStyles();
+      this.processedElements = new WeakSet();
+      this.textCache = new WeakMap();
+      this.scanDOM();
+    } catch (error) {
+      console.error("Error updating configuration:", error);
+    }
+  }
+
   /**
    * Enable the RTL corrector
    */
@@ -555,8 +2219,8 @@ class ArabicRTLCorrector {
    */
   disable() {
     this.isEnabled = false;
-    this.isProcessing = false;
-    clearTimeout(this.debounceTimer);
+    this.clearQueue();
+    this.disconnectViewportObserver();
     this.removeAllRTLStyles();
     console.log("ArabicRTLCorrector disabled");
   }
@@ -577,8 +2241,18 @@ class ArabicRTLCorrector {
       "DOMContentLoaded",
       this.handleDOMContentLoaded
     );
+    document.removeEventListener(
+      "muhathin:shadow-root-attached",
+      this.handleShadowRootAttached,
+      true
+    );
+    document.removeEventListener("input", this.handleEditableInput, true);
+    document.removeEventListener("keyup", this.handleEditableInput, true);
+    cancelAnimationFrame(this.editableFrame);
+    this.editableFrame = null;
+    this.pendingEditables.clear();
 
-    clearTimeout(this.debounceTimer);
+    this.shadowRoots.clear();
     this.processedElements = new WeakSet();
     this.textCache = new WeakMap();
 
@@ -591,13 +2265,15 @@ class ArabicRTLCorrector {
    */
   getStats() {
     try {
-      const rtlElements = document.querySelectorAll(
+      const rtlElements = this.querySelectorAllRoots(
         '[data-rtl-applied="true"]'
       );
       const stats = {
         totalProcessed: rtlElements.length,
         averageArabicRatio: 0,
         elementTypes: {},
+        scripts: {},
+        reasons: {},
       };
 
       let totalRatio = 0;
@@ -608,6 +2284,16 @@ class ArabicRTLCorrector {
 
         const tagName = element.tagName.toLowerCase();
         stats.elementTypes[tagName] = (stats.elementTypes[tagName] || 0) + 1;
+
+        const script = element.getAttribute("data-rtl-script");
+        if (script) {
+          stats.scripts[script] = (stats.scripts[script] || 0) + 1;
+        }
+
+        const reason = element.getAttribute("data-rtl-reason");
+        if (reason) {
+          stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+        }
       });
 
       stats.averageArabicRatio =
@@ -618,154 +2304,214 @@ class ArabicRTLCorrector {
       return stats;
     } catch (error) {
       console.error("Error getting stats:", error);
-      return { totalProcessed: 0, averageArabicRatio: 0, elementTypes: {} };
+      return {
+        totalProcessed: 0,
+        averageArabicRatio: 0,
+        elementTypes: {},
+        scripts: {},
+        reasons: {},
+      };
     }
   }
-}
-
-// Export for use in Chrome extension content scripts
-if (typeof module !== "undefined" && module.exports) {
-  module.exports = ArabicRTLCorrector;
-}
 
-// Content Script Implementation for Chrome Extension
-(function () {
-  "use strict";
+  /**
+   * Empty timing and mutation counters
+   * @returns {Object}
+   */
+  createDiagnostics() {
+    return {
+      lastScan: null,
+      lastMutationBatch: null,
+      mutations: { records: 0, batches: 0, elements: 0 },
+    };
+  }
 
-  let rtlCorrector = null;
+  /**
+   * Remember that an element was made RTL and why
+   * @param {Element} element - Element made RTL
+   * @param {string} reason - Rule that fired, as in data-rtl-reason
+   * @param {number} ratio - Ratio of RTL letters
+   */
+  recordApplied(element, reason, ratio) {
+    this.setDecision(element, { applied: true, reason, ratio });
+    this.skippedElements.delete(element);
+  }
 
-  // Listen for enable/disable from popup.js (uses 'muhaThinEnabled' for compatibility)
-  function syncWithPopupState() {
-    if (
-      typeof chrome !== "undefined" &&
-      chrome.storage &&
-      chrome.storage.sync
-    ) {
-      chrome.storage.sync.get(["muhaThinEnabled"], (result) => {
-        try {
-          if (result.muhaThinEnabled !== false) {
-            if (!rtlCorrector) {
-              initializeRTLCorrector();
-            } else {
-              rtlCorrector.enable();
-            }
-          } else if (rtlCorrector) {
-            rtlCorrector.disable();
-          }
-        } catch (error) {
-          console.error("Error syncing with popup state:", error);
-        }
-      });
+  /**
+   * Store an element's decision, dropping removed elements as the map grows
+   * @param {Element} element - Processed element
+   * @param {{applied: boolean, reason: string, ratio: number}} decision
+   */
+  setDecision(element, decision) {
+    this.decisions.set(element, decision);
+    if (this.decisions.size <= this.decisionsPruneSize) return;
 
-      // Listen for changes from popup.js
-      chrome.storage.onChanged.addListener((changes) => {
-        try {
-          if (changes.muhaThinEnabled) {
-            if (changes.muhaThinEnabled.newValue) {
-              if (!rtlCorrector) {
-                initializeRTLCorrector();
-              } else {
-                rtlCorrector.enable();
-              }
-            } else if (rtlCorrector) {
-              rtlCorrector.disable();
-            }
-          }
-        } catch (error) {
-          console.error("Error handling storage change:", error);
-        }
-      });
-    }
+    this.decisions.forEach((_, decided) => {
+      if (!decided.isConnected) this.decisions.delete(decided);
+    });
+    this.decisionsPruneSize = Math.max(1000, this.decisions.size * 2);
   }
 
   /**
-   * Initialize the RTL corrector
+   * Remember why an element was left alone; elements with RTL text are also
+   * listed in the diagnostics
+   * @param {Element} element - Element that was skipped
+   * @param {string} reason - "excluded", "skip-selector", "hidden",
+   *   "too-short", "ltr-text", "author-direction", "already-rtl" or
+   *   "forced" (forced LTR)
+   * @param {number} [ratio] - Ratio of RTL letters, if already known
    */
-  function initializeRTLCorrector() {
+  recordSkip(element, reason, ratio) {
     try {
-      if (rtlCorrector) {
-        rtlCorrector.destroy();
-      }
-      rtlCorrector = new ArabicRTLCorrector({
-        arabicThreshold: 0.3,
-        debounceDelay: 150,
-        enableVisualFeedback: true,
-        enableIframeHandling: true,
-        batchSize: 50,
-        maxProcessingTime: 16,
-      });
+      const rtlRatio =
+        ratio === undefined
+          ? this.calculateArabicRatio(this.getElementText(element))
+          : ratio;
+      this.setDecision(element, { applied: false, reason, ratio: rtlRatio });
+
+      if (rtlRatio === 0) {
+        this.skippedElements.delete(element);
+        return;
+      }
+
+      // Re-inserting keeps the most recent decisions last
+      this.skippedElements.delete(element);
+      this.skippedElements.set(element, { reason, ratio: rtlRatio });
+
+      if (this.skippedElements.size > this.maxSkippedElements) {
+        this.skippedElements.delete(this.skippedElements.keys().next().value);
+      }
     } catch (error) {
-      console.error("Error initializing RTL corrector:", error);
+      console.error("Error recording skipped element:", error, element);
     }
   }
 
-  if (typeof chrome !== "undefined" && chrome.runtime) {
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      try {
-        switch (message.action) {
-          case "enable":
-            if (!rtlCorrector) {
-              initializeRTLCorrector();
-            } else {
-              rtlCorrector.enable();
-            }
-            sendResponse({
-              success: true,
-              stats: rtlCorrector ? rtlCorrector.getStats() : {},
-            });
-            break;
-          case "disable":
-            if (rtlCorrector) {
-              rtlCorrector.disable();
-            }
-            sendResponse({ success: true });
-            break;
-          case "getStats":
-            const stats = rtlCorrector
-              ? rtlCorrector.getStats()
-              : { totalProcessed: 0 };
-            sendResponse({ success: true, stats });
-            break;
-          case "rescan":
-            if (rtlCorrector && rtlCorrector.isEnabled) {
-              rtlCorrector.scanDOM();
-              sendResponse({ success: true, stats: rtlCorrector.getStats() });
-            } else {
-              sendResponse({
-                success: false,
-                error: "RTL corrector not initialized or disabled",
-              });
-            }
-            break;
-          default:
-            sendResponse({ success: false, error: "Unknown action" });
-        }
-      } catch (error) {
-        console.error("Error handling message:", error);
-        sendResponse({ success: false, error: error.message });
+  /**
+   * Record the timing of a finished batch
+   * @param {string} source - "scan", "mutation" or "viewport"; lazily
+   *   processed batches count as the latest scan
+   * @param {number} count - Elements in the batch
+   * @param {number} startedAt - performance.now() when the work began
+   * @param {number} busyTime - Time spent working, without frame waits
+   */
+  recordBatch(source, count, startedAt, busyTime) {
+    this.authorDirections = new WeakMap();
+
+    const batch = {
+      elements: count,
+      duration: Math.round(performance.now() - startedAt),
+      busyTime: Math.round(busyTime),
+      finishedAt: Date.now(),
+    };
+
+    if (source === "mutation") {
+      this.diagnostics.lastMutationBatch = batch;
+    } else {
+      this.diagnostics.lastScan = batch;
+    }
+  }
+
+  /**
+   * Stats plus what is needed to explain them: skipped elements with their
+   * reasons, the last scan's timing, mutation counts and queue metrics
+   * @returns {Object} Diagnostics; skipped entries hold the elements
+   *   themselves, so callers outside the page must replace them
+   */
+  getDiagnostics() {
+    const skipped = [];
+    this.skippedElements.forEach(({ reason, ratio }, element) => {
+      if (!element.isConnected) {
+        this.skippedElements.delete(element);
+        return;
       }
-      return true; // Keep message channel open for async response
+      const text = this.getElementText(element).trim().replace(/\s+/g, " ");
+      skipped.push({
+        element,
+        tagName: element.tagName.toLowerCase(),
+        text: text.slice(0, 80),
+        reason,
+        ratio: parseFloat(ratio.toFixed(2)),
+      });
     });
 
-    // Sync with popup.html/popup.js state
-    syncWithPopupState();
-  } else {
-    // Standalone usage (non-extension)
-    initializeRTLCorrector();
+    return {
+      stats: this.getStats(),
+      skipped,
+      lastScan: this.diagnostics.lastScan,
+      lastMutationBatch: this.diagnostics.lastMutationBatch,
+      mutations: { ...this.diagnostics.mutations },
+      queue: this.getQueueMetrics(),
+    };
   }
 
-  // Global access for debugging
-  window.ArabicRTLCorrector = ArabicRTLCorrector;
-  if (typeof window !== "undefined") {
-    Object.defineProperty(window, "rtlCorrector", {
-      get: () => rtlCorrector,
-      configurable: true,
+  /**
+   * Elements under a root that have been processed, with their last
+   * decision, for the debug overlay
+   * @param {Document|Element} [root=document] - Where to look
+   * @returns {Array<{element: Element, applied: boolean, reason: string,
+   *   ratio: number}>}
+   */
+  getDecisions(root = document) {
+    // Inside root, looking through the shadow roots on the way up
+    const isInRoot = (element) => {
+      if (root === document) return element.isConnected;
+      for (let node = element; node; node = node.parentNode || node.host) {
+        if (node === root) return true;
+      }
+      return false;
+    };
+
+    const decisions = [];
+    this.decisions.forEach((decision, element) => {
+      if (isInRoot(element)) decisions.push({ element, ...decision });
     });
+    return decisions;
   }
-})();
+
+  /**
+   * Scroll an element into view and briefly outline it
+   * @param {Element} element - Element to show
+   * @param {number} [duration=2000] - How long the outline stays, in ms
+   */
+  highlightElement(element, duration = 2000) {
+    try {
+      if (!element || !element.isConnected) return;
+
+      element.scrollIntoView({ block: "center", inline: "nearest" });
+
+      // An overlay rather than an outline, so the page's styles are untouched
+      const doc = element.ownerDocument;
+      const rect = element.getBoundingClientRect();
+      const overlay = doc.createElement("div");
+      overlay.setAttribute("data-rtl-skip", "true");
+      Object.assign(overlay.style, {
+        position: "absolute",
+        top: `${rect.top + doc.defaultView.scrollY - 3}px`,
+        left: `${rect.left + doc.defaultView.scrollX - 3}px`,
+        width: `${rect.width + 6}px`,
+        height: `${rect.height + 6}px`,
+        border: "3px solid #e67e22",
+        borderRadius: "4px",
+        background: "rgba(230, 126, 34, 0.15)",
+        boxSizing: "border-box",
+        pointerEvents: "none",
+        zIndex: "2147483647",
+      });
+      doc.documentElement.appendChild(overlay);
+      setTimeout(() => overlay.remove(), duration);
+    } catch (error) {
+      console.error("Error highlighting element:", error, element);
+    }
+  }
+}
+
+// Export for use outside the extension
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ArabicRTLCorrector;
+}
 
 /*
- * Example Usage:
+ * Example Usage (load core/detection.js first):
  *
  * // Basic usage
  * const corrector = new ArabicRTLCorrector();
@@ -789,4 +2535,8 @@ if (typeof module !== "undefined" && module.exports) {
  * const stats = corrector.getStats();
  * console.log('Processed elements:', stats.totalProcessed);
  * console.log('Average Arabic ratio:', stats.averageArabicRatio);
+ *
+ * // Why elements were left alone
+ * const { skipped } = corrector.getDiagnostics();
+ * skipped.forEach(({ element, reason }) => console.log(reason, element));
  */
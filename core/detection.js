@@ -0,0 +1,379 @@
+/**
+ * Muḥāthin detection core
+ *
+ * The text analysis behind ArabicRTLCorrector: the share of RTL letters in a
+ * text, its dominant RTL script, the direction it should take, its
+ * directional runs and its digits in another numeral style. It never touches
+ * the DOM or chrome.*, so the same logic runs in the content script, in Node
+ * and in web apps.
+ *
+ * Loaded as a classic script it defines the RTLDetector global; under
+ * CommonJS it is the module export, and index.mjs re-exports it as ESM.
+ */
+
+class RTLDetector {
+  // RTL scripts and their Unicode ranges. Persian and Urdu letters live in
+  // the Arabic blocks; "historic" covers the rest of the supplementary RTL
+  // area (Hanifi Rohingya, Yezidi, Adlam, Mende Kikakui, ...)
+  static SCRIPTS = {
+    arabic:
+      "\\u0600-\\u06FF\\u0750-\\u077F\\u0870-\\u089F\\u08A0-\\u08FF\\uFB50-\\uFDFF\\uFE70-\\uFEFF\\u{10EC0}-\\u{10EFF}\\u{1EE00}-\\u{1EEFF}",
+    hebrew: "\\u0590-\\u05FF\\uFB1D-\\uFB4F",
+    syriac: "\\u0700-\\u074F\\u0860-\\u086F",
+    thaana: "\\u0780-\\u07BF",
+    nko: "\\u07C0-\\u07FF",
+    samaritan: "\\u0800-\\u083F",
+    mandaic: "\\u0840-\\u085F",
+    historic: "\\u{10800}-\\u{10EBF}\\u{10F00}-\\u{10FFF}\\u{1E800}-\\u{1E95F}",
+  };
+
+  // Elements whose text is checked for direction
+  static TARGET_SELECTORS = [
+    "p",
+    "span",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    'input:not([type="password"]):not([type="email"]):not([type="url"])',
+    "textarea",
+    '[contenteditable="true"]',
+    '[contenteditable=""]',
+    "label",
+    "button",
+    "a",
+    "li",
+    "td",
+    "th",
+  ];
+
+  // Elements that are never restyled
+  static SKIP_SELECTORS = [
+    "code",
+    "pre",
+    "script",
+    "style",
+    "noscript",
+    "[data-rtl-skip]",
+    ".rtl-skip",
+    'input[type="password"]',
+    'input[type="email"]',
+    'input[type="url"]',
+  ];
+
+  // Inline elements: their text belongs to the nearest block ancestor
+  static INLINE_TAGS = [
+    "A", "ABBR", "B", "BDI", "BDO", "BR", "CITE", "CODE", "DATA", "DFN",
+    "EM", "FONT", "I", "IMG", "KBD", "LABEL", "MARK", "Q", "S", "SAMP",
+    "SMALL", "SPAN", "STRONG", "SUB", "SUP", "TIME", "U", "VAR", "WBR",
+  ];
+
+  // Tags that turn RTL with any RTL letter under the "ratio" strategy
+  static FORCED_TAGS = ["SPAN", "H1", "A", "P"];
+
+  static STRATEGIES = ["ratio", "firstStrong", "hybrid"];
+
+  // Digit sets for numeral conversion, indexed by value
+  static NUMERAL_DIGITS = {
+    western: "0123456789",
+    arabic: "\u0660\u0661\u0662\u0663\u0664\u0665\u0666\u0667\u0668\u0669",
+    persian: "\u06F0\u06F1\u06F2\u06F3\u06F4\u06F5\u06F6\u06F7\u06F8\u06F9",
+  };
+
+  // Bracket pairs a directional run keeps together
+  static BRACKETS = { "(": ")", "[": "]", "{": "}" };
+
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.enabledScripts] - Scripts to detect, all by default
+   * @param {number} [options.threshold=0.3] - Share of RTL letters that makes text RTL
+   * @param {string} [options.strategy="ratio"] - One of RTLDetector.STRATEGIES
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold || 0.3;
+    this.strategy = options.strategy || "ratio";
+    this.enabledScripts = (
+      options.enabledScripts || Object.keys(RTLDetector.SCRIPTS)
+    ).filter((script) => RTLDetector.SCRIPTS[script]);
+
+    // Latin numbers and URLs to preserve LTR
+    this.ltrPreserveRegex = /[0-9]+|https?:\/\/[^\s]+|www\.[^\s]+/g;
+
+    // URLs keep their digits as written
+    this.urlTokenRegex = /https?:\/\/\S+|www\.\S+/g;
+
+    this.buildPatterns();
+  }
+
+  /**
+   * Build the character patterns for the enabled RTL scripts
+   */
+  buildPatterns() {
+    // One pattern per script, for the per-script stats
+    this.scriptRegexes = {};
+    this.enabledScripts.forEach((script) => {
+      this.scriptRegexes[script] = new RegExp(
+        `[${RTLDetector.SCRIPTS[script]}]`,
+        "gu"
+      );
+    });
+
+    const rtlChars = this.enabledScripts
+      .map((script) => RTLDetector.SCRIPTS[script])
+      .join("");
+
+    // With every script disabled nothing is RTL
+    if (!rtlChars) {
+      this.rtlRegex = /(?!)/gu;
+      this.rtlCharRegex = /(?!)/u;
+      this.ltrRunRegex = /(?!)/gu;
+      this.rtlRunRegex = /(?!)/gu;
+      return;
+    }
+
+    this.rtlRegex = new RegExp(`[${rtlChars}]`, "gu");
+    this.rtlCharRegex = new RegExp(`[${rtlChars}]`, "u");
+
+    // Directional runs for bidi isolation: an LTR run starts and ends with a
+    // Latin letter or digit (or an opening and a closing bracket, which
+    // splitRuns() keeps only in pairs) and may span spaces and punctuation;
+    // an RTL run is the same for RTL letters
+    const ltrStrong = `(?![${rtlChars}])[\\p{L}\\p{N}]`;
+    const ltrLetter = `(?![${rtlChars}])\\p{L}`;
+    this.ltrRunRegex = new RegExp(
+      `[([{]?${ltrStrong}(?:[^${rtlChars}]*(?:${ltrStrong}|[)\\]}]))?`,
+      "gu"
+    );
+    this.rtlRunRegex = new RegExp(
+      `[${rtlChars}](?:(?:(?!${ltrLetter})[\\s\\S])*[${rtlChars}])?`,
+      "gu"
+    );
+  }
+
+  /**
+   * Ratio of RTL letters (Arabic and the other enabled scripts) in text,
+   * ignoring whitespace, punctuation, numbers and URLs
+   * @param {string} text - Text to analyze
+   * @returns {number} Ratio of RTL letters (0-1)
+   */
+  calculateRatio(text) {
+    if (!text || text.trim().length === 0) return 0;
+
+    const cleanText = text
+      .replace(/\s+/g, "")
+      .replace(this.ltrPreserveRegex, "")
+      .replace(/[^\p{L}]/gu, "");
+
+    if (cleanText.length === 0) return 0;
+
+    // Count code points on both sides: astral letters (Arabic Mathematical
+    // Alphabetic Symbols, Phoenician, ...) are two UTF-16 units each
+    const rtlMatches = cleanText.match(this.rtlRegex) || [];
+    return rtlMatches.length / Array.from(cleanText).length;
+  }
+
+  /**
+   * Direction of the first strong (letter) character, as dir="auto" does
+   * @param {string} text - Text to inspect
+   * @returns {string|null} "rtl", "ltr", or null if there are no letters
+   */
+  getFirstStrongDirection(text) {
+    const match = /\p{L}/u.exec(text || "");
+    if (!match) return null;
+    return this.rtlCharRegex.test(match[0]) ? "rtl" : "ltr";
+  }
+
+  /**
+   * Script with the most letters in a text
+   * @param {string} text - Text to inspect
+   * @returns {string|null} Script id, or null without RTL letters
+   */
+  getDominantScript(text) {
+    let dominant = null;
+    let highest = 0;
+
+    Object.entries(this.scriptRegexes).forEach(([script, regex]) => {
+      const count = ((text || "").match(regex) || []).length;
+      if (count > highest) {
+        highest = count;
+        dominant = script;
+      }
+    });
+
+    return dominant;
+  }
+
+  /**
+   * Decide whether a text is RTL
+   * @param {string} text - Text to inspect
+   * @param {Object} [options]
+   * @param {string} [options.tagName] - Upper-case tag of the element holding the text
+   * @param {number} [options.ratio] - Precomputed calculateRatio(text)
+   * @param {string} [options.strategy] - Overrides the detector's strategy
+   * @param {number} [options.threshold] - Overrides the detector's threshold
+   * @returns {{isRTL: boolean, reason: string, ratio: number}} Decision, the
+   *   rule that made it and the RTL ratio
+   */
+  detect(text, options = {}) {
+    const ratio =
+      options.ratio !== undefined ? options.ratio : this.calculateRatio(text);
+    const threshold = options.threshold || this.threshold;
+
+    switch (options.strategy || this.strategy) {
+      case "firstStrong":
+        return {
+          isRTL: this.getFirstStrongDirection(text) === "rtl",
+          reason: "first-strong",
+          ratio,
+        };
+
+      case "hybrid":
+        // The first letter decides, unless most of the text is RTL
+        if (this.getFirstStrongDirection(text) === "rtl") {
+          return { isRTL: true, reason: "first-strong", ratio };
+        }
+        return {
+          isRTL: ratio >= Math.max(threshold, 0.5),
+          reason: "majority",
+          ratio,
+        };
+
+      default:
+        // Always check span, h1, a, and p for Arabic and apply RTL if needed
+        if (RTLDetector.FORCED_TAGS.includes(options.tagName) && ratio > 0) {
+          return { isRTL: true, reason: "forced-tag", ratio };
+        }
+        return { isRTL: ratio >= threshold, reason: "threshold", ratio };
+    }
+  }
+
+  /**
+   * Split text into plain pieces and runs against the base direction, e.g.
+   * the Latin words in an RTL paragraph
+   * @param {string} text - Text to split
+   * @param {string} baseDirection - "rtl" or "ltr"
+   * @returns {Array<{text: string, direction: string|null}>} Pieces in order;
+   *   runs carry their direction, plain text has null. Empty when the text
+   *   has no runs.
+   */
+  splitRuns(text, baseDirection) {
+    const runRegex =
+      baseDirection === "rtl" ? this.ltrRunRegex : this.rtlRunRegex;
+    const runDirection = baseDirection === "rtl" ? "ltr" : "rtl";
+
+    const pieces = [];
+    let lastIndex = 0;
+    let match;
+
+    runRegex.lastIndex = 0;
+    while ((match = runRegex.exec(text))) {
+      const { start, end } =
+        runDirection === "ltr"
+          ? this.trimUnpairedBrackets(match[0])
+          : { start: 0, end: match[0].length };
+
+      if (match.index + start > lastIndex) {
+        pieces.push({
+          text: text.slice(lastIndex, match.index + start),
+          direction: null,
+        });
+      }
+      pieces.push({
+        text: match[0].slice(start, end),
+        direction: runDirection,
+      });
+      lastIndex = match.index + end;
+    }
+
+    if (pieces.length && lastIndex < text.length) {
+      pieces.push({ text: text.slice(lastIndex), direction: null });
+    }
+
+    return pieces;
+  }
+
+  /**
+   * Bounds of an LTR run without the brackets at its edges whose partner
+   * lies outside it: a pair split across an isolate is mirrored on one side
+   * only, so "(getUser)" must stay whole and "getUser)" loses its ")"
+   * @param {string} run - Text matched by ltrRunRegex
+   * @returns {{start: number, end: number}} Slice of the run to isolate
+   */
+  trimUnpairedBrackets(run) {
+    const { BRACKETS } = RTLDetector;
+    const closers = Object.values(BRACKETS);
+    const openers = [];
+    const paired = new Set();
+
+    for (let i = 0; i < run.length; i++) {
+      if (BRACKETS[run[i]]) {
+        openers.push(i);
+      } else if (closers.includes(run[i])) {
+        const opener = openers[openers.length - 1];
+        if (opener !== undefined && BRACKETS[run[opener]] === run[i]) {
+          openers.pop();
+          paired.add(opener).add(i);
+        }
+      }
+    }
+
+    const start = BRACKETS[run[0]] && !paired.has(0) ? 1 : 0;
+    let end = run.length;
+    while (
+      end > start &&
+      !paired.has(end - 1) &&
+      !/[\p{L}\p{N}]$/u.test(run.slice(start, end))
+    ) {
+      end--;
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Write the digits in a text in another numeral style, leaving URLs alone
+   * @param {string} text - Text to convert
+   * @param {string} style - "arabic", "persian" or "western"; anything else
+   *   returns the text unchanged
+   * @returns {string}
+   */
+  convertDigits(text, style) {
+    const target = RTLDetector.NUMERAL_DIGITS[style];
+    if (!target) return text;
+
+    const { western, arabic, persian } = RTLDetector.NUMERAL_DIGITS;
+    const allDigits = western + arabic + persian;
+    const convert = (part) =>
+      part.replace(
+        /[0-9\u0660-\u0669\u06F0-\u06F9]/g,
+        (digit) => target[allDigits.indexOf(digit) % 10]
+      );
+
+    let result = "";
+    let lastIndex = 0;
+    this.urlTokenRegex.lastIndex = 0;
+    let match;
+    while ((match = this.urlTokenRegex.exec(text))) {
+      result += convert(text.slice(lastIndex, match.index)) + match[0];
+      lastIndex = match.index + match[0].length;
+    }
+    return result + convert(text.slice(lastIndex));
+  }
+
+  /**
+   * Best text alignment for RTL text in an element
+   * @param {string} tagName - Upper-case tag name
+   * @returns {string} CSS text-align value
+   */
+  static getTextAlign(tagName) {
+    if (tagName === "BUTTON") return "center";
+    if (["TD", "TH"].includes(tagName)) return "inherit";
+    return "right";
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = RTLDetector;
+}
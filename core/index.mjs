@@ -0,0 +1,12 @@
+/**
+ * ES module entry point for the Muḥāthin detection core
+ *
+ *   import { RTLDetector } from "muhathin-core";
+ *   const detector = new RTLDetector({ enabledScripts: ["arabic"] });
+ *   detector.detect("مرحبا بالعالم").isRTL; // true
+ */
+
+import RTLDetector from "./detection.js";
+
+export { RTLDetector };
+export default RTLDetector;
@@ -0,0 +1,333 @@
+/**
+ * Debug overlay for the Muḥāthin content script
+ *
+ * Outlines every element the corrector has processed, coloured by what it
+ * decided: made RTL, below the threshold, skipped by a selector, invisible,
+ * or left alone because the page sets its own direction. Hovering an
+ * outlined element shows its RTL ratio and the rule that fired. Only
+ * elements in the viewport are drawn, and decisions are read again after
+ * each batch the corrector finishes (refresh()).
+ */
+
+class DebugOverlay {
+  // Outline colour and legend label of each kind of decision
+  static CATEGORIES = {
+    applied: { color: "#22c55e", label: "تم التصحيح" },
+    below: { color: "#f59e0b", label: "دون العتبة" },
+    skipped: { color: "#94a3b8", label: "متجاهَل بمحدد" },
+    hidden: { color: "#a855f7", label: "غير مرئي" },
+    author: { color: "#ef4444", label: "اتجاه الموقع" },
+  };
+
+  // Rules behind each decision, as recorded by ArabicRTLCorrector
+  static REASONS = {
+    threshold: "نسبة الحروف فوق العتبة",
+    "forced-tag": "وسم يُصحَّح بأي حرف",
+    "first-strong": "أول حرف قوي",
+    majority: "أغلبية الحروف",
+    forced: "اتجاه مفروض",
+    live: "أثناء الكتابة",
+    "ltr-text": "نسبة الحروف دون العتبة",
+    "too-short": "نص قصير جداً",
+    "skip-selector": "محدد تجاهل",
+    excluded: "منطقة مستثناة",
+    hidden: "عنصر مخفي",
+    "author-direction": "اتجاه حدده الموقع",
+    "already-rtl": "من اليمين لليسار أصلاً",
+  };
+
+  // Outlines drawn at most, to keep huge pages responsive
+  static MAX_BOXES = 500;
+
+  /**
+   * Kind of decision, for its colour
+   * @param {{applied: boolean, reason: string}} decision
+   * @returns {string} Key of DebugOverlay.CATEGORIES
+   */
+  static getCategory({ applied, reason }) {
+    if (applied) return "applied";
+    switch (reason) {
+      case "skip-selector":
+      case "excluded":
+      case "forced":
+        return "skipped";
+      case "hidden":
+        return "hidden";
+      case "author-direction":
+      case "already-rtl":
+        return "author";
+      default:
+        return "below";
+    }
+  }
+
+  /**
+   * @param {ArabicRTLCorrector} corrector - Corrector whose decisions to show
+   * @param {Object} [options]
+   * @param {Function} [options.onStop] - Called when the overlay closes
+   */
+  constructor(corrector, options = {}) {
+    this.corrector = corrector;
+    this.onStop = options.onStop || (() => {});
+
+    this.isActive = false;
+    this.decisions = [];
+    this.decisionMap = new Map();
+    this.renderFrame = null;
+
+    // Overlay UI lives in a closed shadow root so page styles can't reach it
+    // and the corrector never processes it
+    this.host = null;
+    this.ui = null;
+
+    this.strings = {
+      title: "قرارات الكشف",
+      close: "إغلاق",
+      ratio: "النسبة",
+      rule: "القاعدة",
+    };
+
+    // Bound methods for event listeners
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.scheduleRender = this.scheduleRender.bind(this);
+  }
+
+  /**
+   * Show the overlay
+   */
+  start() {
+    if (this.isActive) return;
+
+    try {
+      this.createUI();
+      this.isActive = true;
+
+      document.addEventListener("mousemove", this.handleMouseMove, true);
+      window.addEventListener("scroll", this.scheduleRender, true);
+      window.addEventListener("resize", this.scheduleRender);
+
+      this.refresh();
+    } catch (error) {
+      console.error("Error starting debug overlay:", error);
+      this.stop();
+    }
+  }
+
+  /**
+   * Remove the overlay
+   */
+  stop() {
+    document.removeEventListener("mousemove", this.handleMouseMove, true);
+    window.removeEventListener("scroll", this.scheduleRender, true);
+    window.removeEventListener("resize", this.scheduleRender);
+    cancelAnimationFrame(this.renderFrame);
+    this.renderFrame = null;
+
+    if (this.host) {
+      this.host.remove();
+    }
+    this.host = null;
+    this.ui = null;
+    this.decisions = [];
+    this.decisionMap.clear();
+
+    if (this.isActive) {
+      this.isActive = false;
+      this.onStop();
+    }
+  }
+
+  /**
+   * Build the outline layer, tooltip and legend
+   */
+  createUI() {
+    this.host = document.createElement("div");
+    this.host.setAttribute("data-rtl-skip", "true");
+    this.host.style.cssText =
+      "position: fixed; inset: 0; pointer-events: none; z-index: 2147483646;";
+
+    const legend = Object.entries(DebugOverlay.CATEGORIES)
+      .map(
+        ([key, { color, label }]) => `
+          <li><span class="swatch" style="background: ${color}"></span>
+          ${label} <span class="count" data-category="${key}">0</span></li>`
+      )
+      .join("");
+
+    const shadowRoot = this.host.attachShadow({ mode: "closed" });
+    shadowRoot.innerHTML = `
+      <style>
+        * { box-sizing: border-box; font-family: "Segoe UI", Tahoma, sans-serif; }
+        .box {
+          position: fixed;
+          border: 2px solid;
+          border-radius: 2px;
+          pointer-events: none;
+        }
+        .tooltip, .legend {
+          position: fixed;
+          background: #0A4D8C;
+          color: #FFFEC8;
+          font-size: 12px;
+          border-radius: 6px;
+          box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+          direction: rtl;
+        }
+        .tooltip { display: none; padding: 4px 8px; white-space: nowrap; }
+        .legend { bottom: 12px; right: 12px; padding: 8px 12px; pointer-events: auto; }
+        .legend h2 { font-size: 13px; margin: 0 0 6px; }
+        .legend ul { list-style: none; margin: 0; padding: 0; }
+        .legend li { display: flex; align-items: center; gap: 6px; }
+        .swatch { width: 10px; height: 10px; border-radius: 2px; }
+        .count { margin-inline-start: auto; padding-inline-start: 12px; }
+        .legend button {
+          margin-top: 6px;
+          width: 100%;
+          background: rgba(255, 255, 255, 0.1);
+          border: 1px solid rgba(255, 255, 255, 0.2);
+          border-radius: 4px;
+          color: #FFFEC8;
+          cursor: pointer;
+        }
+        .legend button:hover { background: #fbbf24; color: #0A4D8C; }
+      </style>
+      <div class="boxes"></div>
+      <div class="tooltip"></div>
+      <div class="legend">
+        <h2>${this.strings.title}</h2>
+        <ul>${legend}</ul>
+        <button type="button">${this.strings.close}</button>
+      </div>
+    `;
+
+    this.ui = {
+      boxes: shadowRoot.querySelector(".boxes"),
+      tooltip: shadowRoot.querySelector(".tooltip"),
+      counts: shadowRoot.querySelectorAll(".count"),
+    };
+
+    shadowRoot
+      .querySelector(".legend button")
+      .addEventListener("click", () => this.stop());
+
+    document.documentElement.appendChild(this.host);
+  }
+
+  /**
+   * Read the corrector's decisions again and redraw
+   */
+  refresh() {
+    if (!this.isActive) return;
+
+    try {
+      this.decisions = this.corrector.getDecisions().map((decision) => ({
+        ...decision,
+        category: DebugOverlay.getCategory(decision),
+      }));
+      this.decisionMap = new Map(
+        this.decisions.map((decision) => [decision.element, decision])
+      );
+
+      const counts = {};
+      this.decisions.forEach(({ category }) => {
+        counts[category] = (counts[category] || 0) + 1;
+      });
+      this.ui.counts.forEach((count) => {
+        count.textContent = counts[count.dataset.category] || 0;
+      });
+
+      this.render();
+    } catch (error) {
+      console.error("Error refreshing debug overlay:", error);
+    }
+  }
+
+  /**
+   * Redraw on the next frame, once per frame while scrolling
+   */
+  scheduleRender() {
+    if (this.renderFrame) return;
+
+    this.renderFrame = requestAnimationFrame(() => {
+      this.renderFrame = null;
+      this.render();
+    });
+  }
+
+  /**
+   * Outline the processed elements that are in the viewport
+   */
+  render() {
+    if (!this.ui) return;
+
+    const boxes = [];
+    for (const { element, category } of this.decisions) {
+      if (boxes.length >= DebugOverlay.MAX_BOXES) break;
+      if (!element.isConnected) continue;
+
+      const rect = element.getBoundingClientRect();
+      if (
+        !rect.width ||
+        !rect.height ||
+        rect.bottom < 0 ||
+        rect.right < 0 ||
+        rect.top > window.innerHeight ||
+        rect.left > window.innerWidth
+      ) {
+        continue;
+      }
+
+      const box = document.createElement("div");
+      box.className = "box";
+      Object.assign(box.style, {
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+        borderColor: DebugOverlay.CATEGORIES[category].color,
+      });
+      boxes.push(box);
+    }
+
+    this.ui.boxes.replaceChildren(...boxes);
+  }
+
+  /**
+   * Show the decision for the processed element under the pointer
+   * @param {MouseEvent} event
+   */
+  handleMouseMove(event) {
+    const path = event.composedPath ? event.composedPath() : [event.target];
+    const decision = path
+      .map((node) => this.decisionMap.get(node))
+      .find(Boolean);
+
+    const { tooltip } = this.ui;
+    if (!decision) {
+      tooltip.style.display = "none";
+      return;
+    }
+
+    const { label } = DebugOverlay.CATEGORIES[decision.category];
+    const rule = DebugOverlay.REASONS[decision.reason] || decision.reason;
+    tooltip.textContent = `<${decision.element.localName}> ${label} • ${
+      this.strings.rule
+    }: ${rule} • ${this.strings.ratio}: ${Math.round(decision.ratio * 100)}%`;
+
+    tooltip.style.display = "block";
+    const { width, height } = tooltip.getBoundingClientRect();
+    tooltip.style.left = `${Math.max(
+      0,
+      Math.min(event.clientX + 12, window.innerWidth - width - 8)
+    )}px`;
+    tooltip.style.top = `${Math.max(
+      0,
+      Math.min(event.clientY + 16, window.innerHeight - height - 8)
+    )}px`;
+  }
+}
+
+// Export for use outside the extension
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DebugOverlay;
+}
@@ -0,0 +1,441 @@
+/**
+ * Options Page Controller for Arabic RTL Extension
+ * Edits the corrector configuration and per-site rules stored by MuhathinSettings
+ */
+
+class OptionsController {
+  constructor() {
+    // UI Elements
+    this.elements = {
+      form: document.getElementById('settingsForm'),
+      arabicThreshold: document.getElementById('arabicThreshold'),
+      arabicThresholdValue: document.getElementById('arabicThresholdValue'),
+      detectionStrategy: document.getElementById('detectionStrategy'),
+      scriptInputs: document.querySelectorAll('input[name="enabledScripts"]'),
+      debounceDelay: document.getElementById('debounceDelay'),
+      maxProcessingTime: document.getElementById('maxProcessingTime'),
+      enableVisualFeedback: document.getElementById('enableVisualFeedback'),
+      enableIframeHandling: document.getElementById('enableIframeHandling'),
+      bidiIsolation: document.getElementById('bidiIsolation'),
+      liveDirection: document.getElementById('liveDirection'),
+      blockHeuristic: document.getElementById('blockHeuristic'),
+      minimalIntervention: document.getElementById('minimalIntervention'),
+      lazyProcessing: document.getElementById('lazyProcessing'),
+      mirrorStructures: document.getElementById('mirrorStructures'),
+      persistContextActions: document.getElementById('persistContextActions'),
+      numeralStyle: document.getElementById('numeralStyle'),
+      typography: document.getElementById('typography'),
+      typographyFont: document.getElementById('typographyFont'),
+      typographyCustomFont: document.getElementById('typographyCustomFont'),
+      typographyLineHeight: document.getElementById('typographyLineHeight'),
+      typographySizeBoost: document.getElementById('typographySizeBoost'),
+      resetBtn: document.getElementById('resetBtn'),
+      statusMessage: document.getElementById('statusMessage'),
+      ruleList: document.getElementById('ruleList'),
+      rulesEmpty: document.getElementById('rulesEmpty'),
+      ruleForm: document.getElementById('ruleForm'),
+      ruleHost: document.getElementById('ruleHost'),
+      ruleMode: document.getElementById('ruleMode'),
+      ruleStrategy: document.getElementById('ruleStrategy'),
+      ruleThreshold: document.getElementById('ruleThreshold'),
+      ruleTargets: document.getElementById('ruleTargets'),
+      ruleSkips: document.getElementById('ruleSkips'),
+      ruleRtl: document.getElementById('ruleRtl'),
+      ruleLtr: document.getElementById('ruleLtr'),
+      ruleExclude: document.getElementById('ruleExclude'),
+      ruleClearBtn: document.getElementById('ruleClearBtn')
+    };
+
+    // Labels for detection strategies
+    this.strategyLabels = {
+      ratio: 'نسبة الحروف العربية',
+      firstStrong: 'أول حرف',
+      hybrid: 'مزيج'
+    };
+
+    // Labels for site rule modes
+    this.modeLabels = {
+      inherit: 'حسب الإعداد العام',
+      enable: 'مُفعّل دائماً',
+      disable: 'مُعطّل'
+    };
+
+    this.rules = {};
+    this.statusTimer = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the options page
+   */
+  async init() {
+    try {
+      this.setupEventListeners();
+
+      const settings = await MuhathinSettings.load();
+      this.render(settings);
+
+      const rules = await MuhathinSettings.loadSiteRules();
+      this.renderRules(rules);
+    } catch (error) {
+      console.error('Error initializing options page:', error);
+      this.showStatus('فشل في تحميل الإعدادات', true);
+    }
+  }
+
+  /**
+   * Set up event listeners for form controls
+   */
+  setupEventListeners() {
+    this.elements.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+
+    this.elements.resetBtn.addEventListener('click', () => this.reset());
+
+    this.elements.arabicThreshold.addEventListener('input', () => {
+      this.updateThresholdLabel();
+    });
+
+    this.elements.typography.addEventListener('change', () => this.updateTypographyFields());
+    this.elements.typographyFont.addEventListener('change', () => this.updateTypographyFields());
+
+    this.elements.ruleForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveRule();
+    });
+
+    this.elements.ruleClearBtn.addEventListener('click', () => this.clearRuleForm());
+
+    this.elements.ruleList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-host]');
+      if (!button) return;
+
+      if (button.dataset.action === 'edit') {
+        this.editRule(button.dataset.host);
+      } else if (button.dataset.action === 'delete') {
+        this.deleteRule(button.dataset.host);
+      }
+    });
+
+    // Reflect changes saved from another options tab or the popup
+    MuhathinSettings.onChange((settings) => this.render(settings));
+    MuhathinSettings.onSiteRulesChange((rules) => this.renderRules(rules));
+  }
+
+  /**
+   * Fill the form with settings
+   * @param {Object} settings - Normalized settings
+   */
+  render(settings) {
+    this.elements.arabicThreshold.value = Math.round(settings.arabicThreshold * 100);
+    this.elements.detectionStrategy.value = settings.detectionStrategy;
+    this.elements.scriptInputs.forEach((input) => {
+      input.checked = settings.enabledScripts.includes(input.value);
+    });
+    this.elements.debounceDelay.value = settings.debounceDelay;
+    this.elements.maxProcessingTime.value = settings.maxProcessingTime;
+    this.elements.enableVisualFeedback.checked = settings.enableVisualFeedback;
+    this.elements.enableIframeHandling.checked = settings.enableIframeHandling;
+    this.elements.bidiIsolation.checked = settings.bidiIsolation;
+    this.elements.liveDirection.checked = settings.liveDirection;
+    this.elements.blockHeuristic.checked = settings.blockHeuristic;
+    this.elements.minimalIntervention.checked = settings.minimalIntervention;
+    this.elements.lazyProcessing.checked = settings.lazyProcessing;
+    this.elements.mirrorStructures.checked = settings.mirrorStructures;
+    this.elements.persistContextActions.checked = settings.persistContextActions;
+    this.elements.numeralStyle.value = settings.numeralStyle;
+    this.elements.typography.checked = settings.typography;
+    this.elements.typographyFont.value = settings.typographyFont;
+    this.elements.typographyCustomFont.value = settings.typographyCustomFont;
+    this.elements.typographyLineHeight.value = settings.typographyLineHeight;
+    this.elements.typographySizeBoost.value = Math.round(settings.typographySizeBoost * 100);
+    this.updateTypographyFields();
+    this.updateThresholdLabel();
+  }
+
+  /**
+   * Read settings from the form
+   * @returns {Object} Settings as entered
+   */
+  readForm() {
+    return {
+      arabicThreshold: Number(this.elements.arabicThreshold.value) / 100,
+      detectionStrategy: this.elements.detectionStrategy.value,
+      enabledScripts: Array.from(this.elements.scriptInputs)
+        .filter((input) => input.checked)
+        .map((input) => input.value),
+      debounceDelay: this.elements.debounceDelay.value,
+      maxProcessingTime: this.elements.maxProcessingTime.value,
+      enableVisualFeedback: this.elements.enableVisualFeedback.checked,
+      enableIframeHandling: this.elements.enableIframeHandling.checked,
+      bidiIsolation: this.elements.bidiIsolation.checked,
+      liveDirection: this.elements.liveDirection.checked,
+      blockHeuristic: this.elements.blockHeuristic.checked,
+      minimalIntervention: this.elements.minimalIntervention.checked,
+      lazyProcessing: this.elements.lazyProcessing.checked,
+      mirrorStructures: this.elements.mirrorStructures.checked,
+      persistContextActions: this.elements.persistContextActions.checked,
+      numeralStyle: this.elements.numeralStyle.value,
+      typography: this.elements.typography.checked,
+      typographyFont: this.elements.typographyFont.value,
+      typographyCustomFont: this.elements.typographyCustomFont.value,
+      typographyLineHeight: this.elements.typographyLineHeight.value,
+      typographySizeBoost: Number(this.elements.typographySizeBoost.value) / 100
+    };
+  }
+
+  /**
+   * Save the form to storage
+   */
+  async save() {
+    try {
+      const saved = await MuhathinSettings.update(this.readForm());
+      this.render(saved);
+      this.showStatus('تم حفظ الإعدادات');
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      this.showStatus('فشل في حفظ الإعدادات', true);
+    }
+  }
+
+  /**
+   * Restore default settings
+   */
+  async reset() {
+    try {
+      const defaults = await MuhathinSettings.reset();
+      this.render(defaults);
+      this.showStatus('تمت استعادة الإعدادات الافتراضية');
+    } catch (error) {
+      console.error('Error resetting settings:', error);
+      this.showStatus('فشل في استعادة الإعدادات', true);
+    }
+  }
+
+  /**
+   * Render the list of site rules
+   * @param {Object} rules - Normalized rules keyed by hostname
+   */
+  renderRules(rules) {
+    this.rules = rules;
+    const hosts = Object.keys(rules).sort();
+    const { ruleList, rulesEmpty } = this.elements;
+
+    ruleList.textContent = '';
+    rulesEmpty.style.display = hosts.length ? 'none' : 'block';
+
+    hosts.forEach((host) => {
+      const item = document.createElement('li');
+      item.className = 'rule-item';
+
+      const info = document.createElement('div');
+      const hostLabel = document.createElement('div');
+      hostLabel.className = 'rule-host';
+      hostLabel.textContent = host;
+      const summary = document.createElement('div');
+      summary.className = 'rule-summary';
+      summary.textContent = this.describeRule(rules[host]);
+      info.append(hostLabel, summary);
+
+      const actions = document.createElement('div');
+      actions.className = 'rule-actions';
+      actions.append(
+        this.createRuleButton('تعديل', 'edit', host),
+        this.createRuleButton('حذف', 'delete', host)
+      );
+
+      item.append(info, actions);
+      ruleList.appendChild(item);
+    });
+  }
+
+  /**
+   * Create an edit/delete button for a rule
+   */
+  createRuleButton(label, action, host) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'small-btn';
+    button.textContent = label;
+    button.dataset.action = action;
+    button.dataset.host = host;
+    return button;
+  }
+
+  /**
+   * Summarize a rule for the list
+   * @param {Object} rule - Normalized rule
+   * @returns {string}
+   */
+  describeRule(rule) {
+    const parts = [this.modeLabels[rule.mode]];
+
+    if (rule.arabicThreshold !== undefined) {
+      parts.push(`النسبة ${Math.round(rule.arabicThreshold * 100)}%`);
+    }
+    if (rule.detectionStrategy) {
+      parts.push(this.strategyLabels[rule.detectionStrategy]);
+    }
+    if (rule.targetSelectors.length) {
+      parts.push(`${rule.targetSelectors.length} محدد للمعالجة`);
+    }
+    if (rule.skipSelectors.length) {
+      parts.push(`${rule.skipSelectors.length} محدد للتجاهل`);
+    }
+
+    const pickedCount = rule.rtlSelectors.length +
+      rule.ltrSelectors.length +
+      rule.excludeSelectors.length;
+    if (pickedCount) {
+      parts.push(`${pickedCount} عنصر محدد يدوياً`);
+    }
+
+    return parts.join(' • ');
+  }
+
+  /**
+   * Load a rule into the form for editing
+   * @param {string} host - Hostname of the rule
+   */
+  editRule(host) {
+    const rule = this.rules[host];
+    if (!rule) return;
+
+    this.elements.ruleHost.value = host;
+    this.elements.ruleMode.value = rule.mode;
+    this.elements.ruleStrategy.value = rule.detectionStrategy || '';
+    this.elements.ruleThreshold.value = rule.arabicThreshold !== undefined
+      ? Math.round(rule.arabicThreshold * 100)
+      : '';
+    this.elements.ruleTargets.value = rule.targetSelectors.join('\n');
+    this.elements.ruleSkips.value = rule.skipSelectors.join('\n');
+    this.elements.ruleRtl.value = rule.rtlSelectors.join('\n');
+    this.elements.ruleLtr.value = rule.ltrSelectors.join('\n');
+    this.elements.ruleExclude.value = rule.excludeSelectors.join('\n');
+    this.elements.ruleHost.focus();
+  }
+
+  /**
+   * Save the rule currently in the form
+   */
+  async saveRule() {
+    const host = MuhathinSettings.normalizeHost(this.elements.ruleHost.value);
+    if (!host) {
+      this.showStatus('النطاق غير صالح', true);
+      return;
+    }
+
+    const threshold = this.elements.ruleThreshold.value;
+    const rule = {
+      mode: this.elements.ruleMode.value,
+      detectionStrategy: this.elements.ruleStrategy.value || undefined,
+      arabicThreshold: threshold === '' ? undefined : Number(threshold) / 100,
+      targetSelectors: this.elements.ruleTargets.value,
+      skipSelectors: this.elements.ruleSkips.value,
+      rtlSelectors: this.elements.ruleRtl.value,
+      ltrSelectors: this.elements.ruleLtr.value,
+      excludeSelectors: this.elements.ruleExclude.value
+    };
+
+    const normalized = MuhathinSettings.normalizeSiteRule(rule);
+    const invalid = [
+      ...normalized.targetSelectors,
+      ...normalized.skipSelectors,
+      ...normalized.rtlSelectors,
+      ...normalized.ltrSelectors,
+      ...normalized.excludeSelectors
+    ].filter((selector) => !this.isValidSelector(selector));
+
+    if (invalid.length) {
+      this.showStatus(`محدد غير صالح: ${invalid[0]}`, true);
+      return;
+    }
+
+    try {
+      const rules = await MuhathinSettings.saveSiteRule(host, rule);
+      this.renderRules(rules);
+      this.clearRuleForm();
+      this.showStatus('تم حفظ القاعدة');
+    } catch (error) {
+      console.error('Error saving site rule:', error);
+      this.showStatus('فشل في حفظ القاعدة', true);
+    }
+  }
+
+  /**
+   * Delete a site rule
+   * @param {string} host - Hostname of the rule
+   */
+  async deleteRule(host) {
+    try {
+      const rules = await MuhathinSettings.removeSiteRule(host);
+      this.renderRules(rules);
+      this.showStatus('تم حذف القاعدة');
+    } catch (error) {
+      console.error('Error deleting site rule:', error);
+      this.showStatus('فشل في حذف القاعدة', true);
+    }
+  }
+
+  /**
+   * Reset the rule form
+   */
+  clearRuleForm() {
+    this.elements.ruleForm.reset();
+  }
+
+  /**
+   * Check whether a CSS selector parses
+   * @param {string} selector - CSS selector
+   * @returns {boolean}
+   */
+  isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Update the percentage shown next to the threshold slider
+   */
+  updateThresholdLabel() {
+    this.elements.arabicThresholdValue.textContent = `${this.elements.arabicThreshold.value}%`;
+  }
+
+  /**
+   * Enable the typography fields only when they have an effect
+   */
+  updateTypographyFields() {
+    const enabled = this.elements.typography.checked;
+    this.elements.typographyFont.disabled = !enabled;
+    this.elements.typographyLineHeight.disabled = !enabled;
+    this.elements.typographySizeBoost.disabled = !enabled;
+    this.elements.typographyCustomFont.disabled =
+      !enabled || this.elements.typographyFont.value !== 'custom';
+  }
+
+  /**
+   * Show a temporary status message
+   */
+  showStatus(message, isError = false) {
+    const { statusMessage } = this.elements;
+    statusMessage.textContent = message;
+    statusMessage.className = `status-message visible ${isError ? 'error' : ''}`;
+
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => {
+      statusMessage.className = 'status-message';
+    }, 3000);
+  }
+}
+
+// Initialize options page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsController();
+});
@@ -0,0 +1,389 @@
+/**
+ * Element picker for the Muḥāthin content script
+ *
+ * Highlights the element under the pointer; clicking it opens a small menu
+ * to force it RTL, force it LTR or exclude it (with its subtree). The choice
+ * is passed to onPick() as a CSS selector, which the content script saves as
+ * a rule for the site.
+ */
+
+class ElementPicker {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onPick - Receives {selector, action}
+   * @param {Function} [options.onStop] - Called when the picker closes
+   * @param {boolean} [options.showHint=true] - Show the usage hint; a page
+   *   shows it once, in its top frame
+   */
+  constructor(options = {}) {
+    this.onPick = options.onPick || (() => {});
+    this.onStop = options.onStop || (() => {});
+    this.showHint = options.showHint !== false;
+
+    this.isActive = false;
+    this.hoveredElement = null;
+    this.selectedElement = null;
+
+    // Picker UI lives in a closed shadow root so page styles can't reach it
+    // and the corrector never processes it
+    this.host = null;
+    this.ui = null;
+
+    // Menu labels
+    this.strings = {
+      rtl: "فرض اتجاه من اليمين لليسار",
+      ltr: "فرض اتجاه من اليسار لليمين",
+      exclude: "استثناء هذا العنصر",
+      cancel: "إلغاء",
+      hint: "انقر على عنصر لتحديده — Esc للخروج",
+    };
+
+    // Bound methods for event listeners
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+  }
+
+  /**
+   * Start picking
+   */
+  start() {
+    if (this.isActive) return;
+
+    try {
+      this.createUI();
+      this.isActive = true;
+
+      document.addEventListener("mousemove", this.handleMouseMove, true);
+      document.addEventListener("click", this.handleClick, true);
+      document.addEventListener("keydown", this.handleKeyDown, true);
+      window.addEventListener("scroll", this.handleScroll, true);
+    } catch (error) {
+      console.error("Error starting element picker:", error);
+      this.stop();
+    }
+  }
+
+  /**
+   * Stop picking and remove the picker UI
+   */
+  stop() {
+    document.removeEventListener("mousemove", this.handleMouseMove, true);
+    document.removeEventListener("click", this.handleClick, true);
+    document.removeEventListener("keydown", this.handleKeyDown, true);
+    window.removeEventListener("scroll", this.handleScroll, true);
+
+    if (this.host) {
+      this.host.remove();
+    }
+    this.host = null;
+    this.ui = null;
+    this.hoveredElement = null;
+    this.selectedElement = null;
+
+    if (this.isActive) {
+      this.isActive = false;
+      this.onStop();
+    }
+  }
+
+  /**
+   * Build the highlight box, hint and action menu
+   */
+  createUI() {
+    this.host = document.createElement("div");
+    this.host.setAttribute("data-rtl-skip", "true");
+    this.host.style.cssText =
+      "position: fixed; inset: 0; pointer-events: none; z-index: 2147483647;";
+
+    const shadowRoot = this.host.attachShadow({ mode: "closed" });
+    shadowRoot.innerHTML = `
+      <style>
+        * { box-sizing: border-box; font-family: "Segoe UI", Tahoma, sans-serif; }
+        .highlight {
+          position: fixed;
+          display: none;
+          background: rgba(251, 191, 36, 0.25);
+          outline: 2px solid #fbbf24;
+          pointer-events: none;
+        }
+        .label, .hint {
+          position: fixed;
+          background: #0A4D8C;
+          color: #FFFEC8;
+          font-size: 12px;
+          padding: 4px 8px;
+          border-radius: 4px;
+          white-space: nowrap;
+          direction: ltr;
+        }
+        .label { display: none; max-width: 60vw; overflow: hidden; text-overflow: ellipsis; }
+        .hint { top: 12px; left: 50%; transform: translateX(-50%); direction: rtl; }
+        .menu {
+          position: fixed;
+          display: none;
+          flex-direction: column;
+          gap: 4px;
+          padding: 8px;
+          background: #0A4D8C;
+          border-radius: 8px;
+          box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+          pointer-events: auto;
+          direction: rtl;
+        }
+        .menu button {
+          background: rgba(255, 255, 255, 0.1);
+          border: 1px solid rgba(255, 255, 255, 0.2);
+          border-radius: 6px;
+          color: #FFFEC8;
+          font-size: 13px;
+          padding: 6px 12px;
+          text-align: right;
+          cursor: pointer;
+        }
+        .menu button:hover { background: #fbbf24; color: #0A4D8C; }
+      </style>
+      <div class="highlight"></div>
+      <div class="label"></div>
+      ${this.showHint ? `<div class="hint">${this.strings.hint}</div>` : ""}
+      <div class="menu">
+        <button type="button" data-action="rtl">${this.strings.rtl}</button>
+        <button type="button" data-action="ltr">${this.strings.ltr}</button>
+        <button type="button" data-action="exclude">${this.strings.exclude}</button>
+        <button type="button" data-action="cancel">${this.strings.cancel}</button>
+      </div>
+    `;
+
+    this.ui = {
+      highlight: shadowRoot.querySelector(".highlight"),
+      label: shadowRoot.querySelector(".label"),
+      menu: shadowRoot.querySelector(".menu"),
+    };
+
+    this.ui.menu.addEventListener("click", (event) => {
+      const button = event.target.closest("button[data-action]");
+      if (button) {
+        this.choose(button.dataset.action);
+      }
+    });
+
+    document.documentElement.appendChild(this.host);
+  }
+
+  /**
+   * Highlight the element under the pointer
+   * @param {MouseEvent} event
+   */
+  handleMouseMove(event) {
+    if (this.selectedElement) return;
+
+    const element = this.getEventElement(event);
+    if (!element || element === this.hoveredElement) return;
+
+    this.hoveredElement = element;
+    this.highlight(element);
+  }
+
+  /**
+   * Select the clicked element and show the action menu
+   * @param {MouseEvent} event
+   */
+  handleClick(event) {
+    // Clicks inside our own menu are handled by its listener
+    if (event.composedPath().includes(this.host)) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const element = this.getEventElement(event);
+    if (!element) return;
+
+    this.selectedElement = element;
+    this.highlight(element);
+    this.showMenu(event.clientX, event.clientY);
+  }
+
+  /**
+   * Escape cancels the selection, or the picker when nothing is selected
+   * @param {KeyboardEvent} event
+   */
+  handleKeyDown(event) {
+    if (event.key !== "Escape") return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (this.selectedElement) {
+      this.selectedElement = null;
+      this.ui.menu.style.display = "none";
+    } else {
+      this.stop();
+    }
+  }
+
+  /**
+   * Keep the highlight on the element while the page scrolls
+   */
+  handleScroll() {
+    const element = this.selectedElement || this.hoveredElement;
+    if (element) {
+      this.highlight(element);
+    }
+  }
+
+  /**
+   * Innermost page element an event happened on, inside open shadow roots too
+   * @param {Event} event
+   * @returns {Element|null}
+   */
+  getEventElement(event) {
+    const path = event.composedPath ? event.composedPath() : [event.target];
+    if (path.includes(this.host)) return null;
+
+    const element = path.find((node) => node.nodeType === Node.ELEMENT_NODE);
+    if (
+      !element ||
+      element === document.documentElement ||
+      element === document.body
+    ) {
+      return null;
+    }
+    return element;
+  }
+
+  /**
+   * Move the highlight box and selector label over an element
+   * @param {Element} element
+   */
+  highlight(element) {
+    const rect = element.getBoundingClientRect();
+    const { highlight, label } = this.ui;
+
+    Object.assign(highlight.style, {
+      display: "block",
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+    });
+
+    label.textContent = ElementPicker.getSelector(element);
+    Object.assign(label.style, {
+      display: "block",
+      top: `${Math.max(0, rect.top - 24)}px`,
+      left: `${Math.max(0, rect.left)}px`,
+    });
+  }
+
+  /**
+   * Show the action menu near the click, kept inside the viewport
+   * @param {number} x - Click position
+   * @param {number} y - Click position
+   */
+  showMenu(x, y) {
+    const { menu } = this.ui;
+    menu.style.display = "flex";
+
+    const { width, height } = menu.getBoundingClientRect();
+    menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - width - 8))}px`;
+    menu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - height - 8))}px`;
+  }
+
+  /**
+   * Apply a menu choice to the selected element
+   * @param {string} action - "rtl", "ltr", "exclude" or "cancel"
+   */
+  choose(action) {
+    const element = this.selectedElement;
+
+    if (action !== "cancel" && element) {
+      try {
+        this.onPick({ selector: ElementPicker.getSelector(element), action });
+      } catch (error) {
+        console.error("Error saving picked element:", error);
+      }
+    }
+
+    this.stop();
+  }
+
+  /**
+   * Build a selector that matches only this element within its root
+   *
+   * Prefers an id; otherwise walks up the tree adding tag names, classes and
+   * :nth-of-type() until the selector is unique. Selectors never cross a
+   * shadow boundary, matching how the corrector queries shadow roots.
+   * @param {Element} element
+   * @returns {string}
+   */
+  static getSelector(element) {
+    const root = element.getRootNode();
+    const isUnique = (selector) => {
+      try {
+        return root.querySelectorAll(selector).length === 1;
+      } catch (error) {
+        return false;
+      }
+    };
+
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      if (current.id) {
+        const idSelector = `#${CSS.escape(current.id)}`;
+        if (isUnique(idSelector)) {
+          parts.unshift(idSelector);
+          break;
+        }
+      }
+
+      parts.unshift(ElementPicker.getSelectorPart(current));
+      if (isUnique(parts.join(" > "))) break;
+
+      current = current.parentElement;
+    }
+
+    return parts.join(" > ");
+  }
+
+  /**
+   * Selector for one element relative to its siblings
+   * @param {Element} element
+   * @returns {string}
+   */
+  static getSelectorPart(element) {
+    const tagName = element.localName;
+
+    // Generated class names (hashes, state classes) change between visits,
+    // so only keep a couple of readable ones
+    const classes = Array.from(element.classList)
+      .filter((name) => /^[a-zA-Z][\w-]*$/.test(name) && !/\d{3,}/.test(name))
+      .slice(0, 2)
+      .map((name) => `.${CSS.escape(name)}`)
+      .join("");
+
+    let part = `${tagName}${classes}`;
+
+    // Number the element only when its tag and classes don't set it apart
+    const parent = element.parentElement;
+    if (parent) {
+      const siblings = Array.from(parent.children);
+      const lookalikes = siblings.filter((sibling) => sibling.matches(part));
+      if (lookalikes.length > 1) {
+        const sameTag = siblings.filter(
+          (sibling) => sibling.localName === tagName
+        );
+        part += `:nth-of-type(${sameTag.indexOf(element) + 1})`;
+      }
+    }
+
+    return part;
+  }
+}
+
+// Export for use outside the extension
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ElementPicker;
+}
@@ -15,9 +15,20 @@ class PopupController {
       statsGrid: document.getElementById('statsGrid'),
       processedCount: document.getElementById('processedCount'),
       arabicRatio: document.getElementById('arabicRatio'),
+      scriptStats: document.getElementById('scriptStats'),
+      siteBtn: document.getElementById('siteBtn'),
+      siteText: document.getElementById('siteText'),
+      siteHost: document.getElementById('siteHost'),
+      pickBtn: document.getElementById('pickBtn'),
+      overlayBtn: document.getElementById('overlayBtn'),
       rescanBtn: document.getElementById('rescanBtn'),
       settingsBtn: document.getElementById('settingsBtn'),
       helpBtn: document.getElementById('helpBtn'),
+      diagnostics: document.getElementById('diagnostics'),
+      diagReasons: document.getElementById('diagReasons'),
+      diagTypes: document.getElementById('diagTypes'),
+      diagTiming: document.getElementById('diagTiming'),
+      diagSkipped: document.getElementById('diagSkipped'),
       lastUpdate: document.getElementById('lastUpdate')
     };
 
@@ -26,7 +37,9 @@ class PopupController {
       isEnabled: false,
       isLoading: true,
       stats: { totalProcessed: 0, averageArabicRatio: 0 },
-      currentTab: null
+      currentTab: null,
+      hostname: '',
+      siteRule: null
     };
 
     // Localization strings
@@ -36,21 +49,70 @@ class PopupController {
         disable: 'تعطيل التصحيح',
         enabled: 'التصحيح مُفعّل',
         disabled: 'التصحيح مُعطّل',
+        disabledOnSite: 'مُعطّل على هذا الموقع',
+        disableOnSite: 'تعطيل على هذا الموقع',
+        enableOnSite: 'إعادة التفعيل على هذا الموقع',
         loading: 'جاري التحميل...',
         processing: 'جاري المعالجة...',
         error: 'حدث خطأ',
         rescanning: 'جاري إعادة الفحص...',
         noContent: 'لا يوجد محتوى عربي',
         elementsProcessed: 'عنصر معالج',
-        arabicRatio: 'نسبة العربية',
+        arabicRatio: 'نسبة الخط من اليمين لليسار',
         lastUpdate: 'آخر تحديث',
         now: 'الآن',
         minutes: 'دقائق',
         minute: 'دقيقة',
-        seconds: 'ثواني'
+        seconds: 'ثواني',
+        nothingSkipped: 'لا توجد عناصر متروكة',
+        noData: 'لا توجد بيانات بعد',
+        lastScan: 'آخر فحص',
+        busyTime: 'وقت المعالجة',
+        mutationBatches: 'دفعات التغييرات',
+        queue: 'طابور المعالجة',
+        peak: 'الأقصى',
+        dropped: 'أُحيل لإعادة الفحص',
+        frames: 'الإطارات',
+        elements: 'عنصر',
+        changes: 'تغيير',
+        milliseconds: 'م.ث'
       }
     };
 
+    // Rules that made elements RTL (data-rtl-reason)
+    this.reasonLabels = {
+      threshold: 'نسبة الحروف',
+      'forced-tag': 'وسم قصير',
+      'first-strong': 'أول حرف',
+      majority: 'أغلبية الحروف',
+      forced: 'اتجاه مفروض',
+      live: 'أثناء الكتابة'
+    };
+
+    // Why elements with RTL text were left alone
+    this.skipLabels = {
+      excluded: 'منطقة مستثناة',
+      'skip-selector': 'محدد تجاهل',
+      hidden: 'عنصر مخفي',
+      'too-short': 'نص قصير جداً',
+      'ltr-text': 'النص من اليسار لليمين',
+      'author-direction': 'اتجاه حدده الموقع',
+      'already-rtl': 'من اليمين لليسار أصلاً',
+      forced: 'اتجاه مفروض'
+    };
+
+    // Names of the RTL scripts in the per-script stats
+    this.scriptLabels = {
+      arabic: 'العربية',
+      hebrew: 'العبرية',
+      syriac: 'السريانية',
+      thaana: 'الثانا',
+      nko: 'إنكو',
+      samaritan: 'السامرية',
+      mandaic: 'المندائية',
+      historic: 'أخرى'
+    };
+
     this.init();
   }
 
@@ -67,6 +129,7 @@ class PopupController {
       
       // Load initial state
       await this.loadState();
+      await this.loadSiteRule();
       
       // Update UI
       this.updateUI();
@@ -86,13 +149,22 @@ class PopupController {
   setupEventListeners() {
     // Toggle button
     this.elements.toggleBtn.addEventListener('click', () => this.toggleExtension());
+    this.elements.siteBtn.addEventListener('click', () => this.toggleSiteDisabled());
+    this.elements.pickBtn.addEventListener('click', () => this.startPicker());
+    this.elements.overlayBtn.addEventListener('click', () => this.toggleDebugOverlay());
     
     // Action buttons
     this.elements.rescanBtn.addEventListener('click', () => this.rescanPage());
     this.elements.settingsBtn.addEventListener('click', () => this.openSettings());
     this.elements.helpBtn.addEventListener('click', () => this.showHelp());
+
+    // Diagnostics are only collected while the panel is open
+    this.elements.diagnostics.addEventListener('toggle', () => {
+      if (this.elements.diagnostics.open) this.loadDiagnostics();
+    });
     
-    // Keyboard shortcuts
+    // Keyboard activation; global shortcuts are manifest commands handled by
+    // the service worker
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Enter' || e.key === ' ') {
         if (document.activeElement === this.elements.toggleBtn) {
@@ -100,47 +172,12 @@ class PopupController {
           this.toggleExtension();
         }
       }
-      // Shortcut: Ctrl+Shift+X to toggle
-      if (e.ctrlKey && e.shiftKey && (e.key === 'X' || e.key === 'x')) {
-        e.preventDefault();
-        this.elements.toggleBtn.focus();
-        this.toggleExtension();
-      }
     });
 
-    // Storage changes listener
-    chrome.storage.onChanged.addListener((changes) => {
-      if (changes.arabicRTLEnabled) {
-        this.state.isEnabled = changes.arabicRTLEnabled.newValue !== false;
-        this.updateUI();
-        // Always send enable/disable to all tabs when changed
-        chrome.tabs.query({}, (tabs) => {
-          tabs.forEach(tab => {
-            if (tab.id) {
-              chrome.tabs.sendMessage(
-                tab.id,
-                { action: changes.arabicRTLEnabled.newValue !== false ? 'enable' : 'disable' },
-                () => {}
-              );
-            }
-          });
-        });
-      }
-    });
-
-    // Ensure extension is enabled in background even if popup is not opened
-    chrome.storage.sync.get(['arabicRTLEnabled'], (result) => {
-      if (result.arabicRTLEnabled !== false) {
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-          if (tabs[0]?.id) {
-            chrome.tabs.sendMessage(
-              tabs[0].id,
-              { action: 'enable' },
-              () => {}
-            );
-          }
-        });
-      }
+    // Reflect changes made from other windows
+    MuhathinSettings.onChange((settings) => {
+      this.state.isEnabled = settings.enabled;
+      this.updateUI();
     });
   }
 
@@ -160,27 +197,24 @@ class PopupController {
    * Load extension state from storage
    */
   async loadState() {
-    return new Promise((resolve) => {
-      chrome.storage.sync.get(['arabicRTLEnabled', 'lastStatsUpdate'], (result) => {
-        this.state.isEnabled = result.arabicRTLEnabled !== false;
-        this.state.isLoading = false;
-        
-        // Get current stats
-        this.getStats().then(() => {
-          resolve();
-        });
-      });
-    });
+    const settings = await MuhathinSettings.load();
+    this.state.isEnabled = settings.enabled;
+    this.state.isLoading = false;
+
+    // Get current stats
+    await this.getStats();
   }
 
   /**
-   * Get statistics from content script
+   * Get statistics for every frame of the current tab
    */
   async getStats() {
     if (!this.state.currentTab?.id) return;
 
     try {
-      const response = await this.sendMessageToTab('getStats');
+      const response = await this.sendMessageToBackground('getTabStats', {
+        tabId: this.state.currentTab.id
+      });
       if (response?.success && response.stats) {
         this.state.stats = response.stats;
         this.updateStatsDisplay();
@@ -190,10 +224,174 @@ class PopupController {
     }
   }
 
+  /**
+   * Collect diagnostics from every frame of the current tab
+   */
+  async loadDiagnostics() {
+    if (!this.state.currentTab?.id) return;
+
+    try {
+      const response = await this.sendMessageToBackground('getTabDiagnostics', {
+        tabId: this.state.currentTab.id
+      });
+      if (response?.success) {
+        this.renderDiagnostics(response.frames || []);
+      }
+    } catch (error) {
+      console.debug('Could not get diagnostics:', error);
+    }
+  }
+
+  /**
+   * Fill the diagnostics panel
+   * @param {Array<Object>} frames - Diagnostics of each frame, top frame first
+   */
+  renderDiagnostics(frames) {
+    const reasons = {};
+    const types = {};
+    const mutations = { records: 0, batches: 0, elements: 0 };
+    const queue = { length: 0, peakLength: 0, dropped: 0 };
+    const add = (totals, counts) => {
+      Object.entries(counts || {}).forEach(([key, count]) => {
+        totals[key] = (totals[key] || 0) + count;
+      });
+    };
+
+    frames.forEach((frame) => {
+      add(reasons, frame.stats?.reasons);
+      add(types, frame.stats?.elementTypes);
+      add(mutations, frame.mutations);
+      add(queue, frame.queue && {
+        length: frame.queue.length,
+        peakLength: frame.queue.peakLength,
+        dropped: frame.queue.dropped
+      });
+    });
+
+    this.renderCounts(this.elements.diagReasons, reasons, this.reasonLabels);
+    this.renderCounts(this.elements.diagTypes, types, {});
+
+    // Timing comes from the top frame, or the first frame that answered
+    const { ar } = this.strings;
+    const top = frames[0] || {};
+    const timing = {};
+    if (top.lastScan) {
+      timing[ar.lastScan] = `${top.lastScan.elements} ${ar.elements} • ${top.lastScan.duration} ${ar.milliseconds} • ${this.formatTimeAgo(top.lastScan.finishedAt)}`;
+      timing[ar.busyTime] = `${top.lastScan.busyTime} ${ar.milliseconds}`;
+    }
+    if (frames.length) {
+      timing[ar.mutationBatches] = `${mutations.batches} (${mutations.elements} ${ar.elements}، ${mutations.records} ${ar.changes})`;
+      timing[ar.queue] = `${queue.length} • ${ar.peak} ${queue.peakLength} • ${ar.dropped} ${queue.dropped}`;
+    }
+    if (frames.length > 1) {
+      timing[ar.frames] = frames.length;
+    }
+    this.renderCounts(this.elements.diagTiming, timing, {});
+
+    this.renderSkipped(frames);
+  }
+
+  /**
+   * Fill a two-column table with labelled values
+   * @param {HTMLTableElement} table - Table to fill
+   * @param {Object} values - Value per key
+   * @param {Object} labels - Label per key, the key itself when missing
+   */
+  renderCounts(table, values, labels) {
+    table.replaceChildren();
+
+    const entries = Object.entries(values);
+    if (!entries.length) {
+      const cell = table.insertRow().insertCell();
+      cell.className = 'diag-empty';
+      cell.textContent = this.strings.ar.noData;
+      return;
+    }
+
+    entries
+      .sort((a, b) => (typeof a[1] === 'number' && typeof b[1] === 'number' ? b[1] - a[1] : 0))
+      .forEach(([key, value]) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = labels[key] || key;
+        row.insertCell().textContent = typeof value === 'number' ? value.toLocaleString('ar') : value;
+      });
+  }
+
+  /**
+   * List the skipped elements; choosing one highlights it on the page
+   * @param {Array<Object>} frames - Diagnostics of each frame
+   */
+  renderSkipped(frames) {
+    const list = this.elements.diagSkipped;
+    list.replaceChildren();
+
+    const rows = frames.flatMap((frame) =>
+      (frame.skipped || []).map((row) => ({ ...row, frameId: frame.frameId }))
+    );
+
+    if (!rows.length) {
+      const item = document.createElement('li');
+      item.className = 'diag-empty';
+      item.textContent = this.strings.ar.nothingSkipped;
+      list.appendChild(item);
+      return;
+    }
+
+    // Most recent decisions first
+    rows.reverse().forEach(({ id, frameId, tagName, text, reason, ratio }) => {
+      const item = document.createElement('li');
+      item.tabIndex = 0;
+      item.title = `${Math.round(ratio * 100)}%`;
+
+      const label = document.createElement('span');
+      label.className = 'diag-reason';
+      label.textContent = `<${tagName}> ${this.skipLabels[reason] || reason}`;
+
+      const snippet = document.createElement('span');
+      snippet.className = 'diag-text';
+      snippet.textContent = text;
+
+      item.append(label, snippet);
+      item.addEventListener('click', () => this.highlightElement(frameId, id));
+      item.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.highlightElement(frameId, id);
+      });
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Show a skipped element on the page
+   * @param {number} frameId - Frame the element is in
+   * @param {number} id - Row id from that frame's diagnostics
+   */
+  async highlightElement(frameId, id) {
+    try {
+      await this.sendMessageToTab('highlightElement', { id }, { frameId });
+    } catch (error) {
+      console.debug('Could not highlight element:', error);
+    }
+  }
+
+  /**
+   * Send message to the service worker
+   */
+  async sendMessageToBackground(action, data = {}) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action, ...data }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
   /**
    * Send message to content script
    */
-  async sendMessageToTab(action, data = {}) {
+  async sendMessageToTab(action, data = {}, options = {}) {
     if (!this.state.currentTab?.id) {
       throw new Error('No active tab');
     }
@@ -202,6 +400,7 @@ class PopupController {
       chrome.tabs.sendMessage(
         this.state.currentTab.id,
         { action, ...data },
+        options,
         (response) => {
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message));
@@ -224,21 +423,16 @@ class PopupController {
       
       const newState = !this.state.isEnabled;
       
-      // Update storage
-      await new Promise((resolve) => {
-        chrome.storage.sync.set({ arabicRTLEnabled: newState }, resolve);
-      });
+      // Update storage; the service worker broadcasts the change to every tab
+      await MuhathinSettings.update({ enabled: newState });
+      this.state.isEnabled = newState;
 
-      // Send message to content script
+      // Ask the active tab directly so it doesn't wait for the broadcast
       const action = newState ? 'enable' : 'disable';
-      const response = await this.sendMessageToTab(action);
-      
-      if (response?.success) {
-        this.state.isEnabled = newState;
-        if (response.stats) {
-          this.state.stats = response.stats;
-        }
-      }
+      await this.sendMessageToTab(action).catch(() => null);
+
+      // Frames report their new stats once they have finished processing
+      setTimeout(() => this.getStats(), 1000);
 
       // Add haptic feedback
       this.addHapticFeedback();
@@ -259,12 +453,9 @@ class PopupController {
     try {
       this.setButtonLoading(this.elements.rescanBtn, true);
       
-      const response = await this.sendMessageToTab('rescan');
-      
-      if (response?.success && response.stats) {
-        this.state.stats = response.stats;
-        this.updateStatsDisplay();
-      }
+      // Every frame of the tab receives the message and rescans
+      await this.sendMessageToTab('rescan');
+      setTimeout(() => this.getStats(), 1000);
 
       // Show success feedback
       this.showTemporaryStatus('تم إعادة الفحص بنجاح', 2000);
@@ -277,23 +468,125 @@ class PopupController {
     }
   }
 
+  /**
+   * Start the element picker on the page and get out of its way
+   */
+  async startPicker() {
+    try {
+      // Every frame runs the picker, so iframes can be picked from too
+      const response = await this.sendMessageToTab('startPicker');
+      if (!response?.success) {
+        throw new Error(response?.error || 'Picker unavailable');
+      }
+      window.close();
+    } catch (error) {
+      console.error('Error starting element picker:', error);
+      this.showError('لا يمكن تحديد العناصر في هذه الصفحة');
+    }
+  }
+
+  /**
+   * Show or hide the debug overlay in every frame of the page
+   */
+  async toggleDebugOverlay() {
+    try {
+      const response = await this.sendMessageToTab('toggleDebugOverlay');
+      if (!response?.success) {
+        throw new Error(response?.error || 'Overlay unavailable');
+      }
+      window.close();
+    } catch (error) {
+      console.error('Error toggling debug overlay:', error);
+      this.showError('لا يمكن عرض القرارات في هذه الصفحة');
+    }
+  }
+
+  /**
+   * Load the rule for the current tab's site
+   */
+  async loadSiteRule() {
+    const url = this.state.currentTab?.url || '';
+    this.state.hostname = /^https?:/.test(url) ? MuhathinSettings.normalizeHost(url) : '';
+
+    if (!this.state.hostname) return;
+
+    // Same lookup as the content script, so a disabled parent domain counts
+    const rules = await MuhathinSettings.loadSiteRules();
+    this.state.siteRule = MuhathinSettings.findSiteRule(rules, this.state.hostname);
+  }
+
+  /**
+   * Toggle "disable on this site" for the current tab
+   */
+  async toggleSiteDisabled() {
+    const { hostname, siteRule } = this.state;
+    if (!hostname) return;
+
+    try {
+      this.setButtonLoading(this.elements.siteBtn, true);
+
+      const rules = await MuhathinSettings.loadSiteRules();
+      const ownRule = rules[hostname] || null;
+      let updated;
+
+      if (siteRule?.mode === 'disable') {
+        const others = { ...rules };
+        delete others[hostname];
+        const parentRule = MuhathinSettings.findSiteRule(others, hostname);
+        const hasOverrides = ownRule && (ownRule.arabicThreshold !== undefined ||
+          ownRule.detectionStrategy !== undefined ||
+          ownRule.targetSelectors.length > 0 ||
+          ownRule.skipSelectors.length > 0 ||
+          ownRule.rtlSelectors.length > 0 ||
+          ownRule.ltrSelectors.length > 0 ||
+          ownRule.excludeSelectors.length > 0);
+
+        // A parent domain's rule still disables the site unless ours overrides
+        // it; otherwise keep the site's other overrides, or drop the rule
+        if (parentRule?.mode === 'disable') {
+          updated = await MuhathinSettings.saveSiteRule(hostname, { ...(ownRule || parentRule), mode: 'enable' });
+        } else if (hasOverrides) {
+          updated = await MuhathinSettings.saveSiteRule(hostname, { ...ownRule, mode: 'inherit' });
+        } else {
+          updated = await MuhathinSettings.removeSiteRule(hostname);
+        }
+      } else {
+        // Like picked elements, a site without its own rule starts from the
+        // rule it inherits
+        updated = await MuhathinSettings.saveSiteRule(hostname, { ...(ownRule || siteRule), mode: 'disable' });
+      }
+      this.state.siteRule = MuhathinSettings.findSiteRule(updated, hostname);
+
+      // Content scripts pick the rule up from storage; refresh our stats
+      setTimeout(() => this.getStats(), 300);
+    } catch (error) {
+      console.error('Error updating site rule:', error);
+      this.showError('فشل في تحديث إعدادات الموقع');
+    } finally {
+      this.setButtonLoading(this.elements.siteBtn, false);
+      this.updateUI();
+    }
+  }
+
+  /**
+   * Whether the current site has been disabled by a site rule
+   */
+  isSiteDisabled() {
+    return this.state.siteRule?.mode === 'disable';
+  }
+
   /**
    * Open settings/options page
    */
   openSettings() {
-    // For now, show a simple alert with available settings
-    // In a full extension, this would open an options page
-    const settingsInfo = `
-الإعدادات المتاحة:
-• نسبة النص العربي: 30%
-• تأخير المعالجة: 150ms
-• التغذية البصرية: مُفعّلة
-• معالجة الإطارات: مُفعّلة
-
-لتخصيص هذه الإعدادات، قم بتطوير صفحة خيارات منفصلة.
-    `.trim();
-    
-    alert(settingsInfo);
+    chrome.runtime.openOptionsPage(() => {
+      if (chrome.runtime.lastError) {
+        console.error('Error opening options page:', chrome.runtime.lastError);
+        this.showError('فشل في فتح الإعدادات');
+        return;
+      }
+      window.close();
+    });
   }
 
   /**
@@ -314,6 +607,11 @@ class PopupController {
 • انقر "إعادة فحص" لمعالجة المحتوى الجديد
 • الإضافة تعمل تلقائياً على الصفحات الجديدة
 
+اختصارات لوحة المفاتيح:
+• Ctrl+Shift+X: تفعيل/تعطيل التصحيح
+• Alt+Shift+S: إعادة فحص الصفحة
+• Alt+Shift+R / Alt+Shift+L: فرض اتجاه النص المحدد أو الحقل الحالي
+
 للدعم: تواصل مع المطور
     `.trim();
     
@@ -339,6 +637,14 @@ class PopupController {
     this.elements.statusText.textContent = isEnabled 
       ? this.strings.ar.enabled 
       : this.strings.ar.disabled;
+
+    if (isEnabled && this.isSiteDisabled()) {
+      this.elements.statusDot.className = 'status-dot inactive';
+      this.elements.statusText.textContent = this.strings.ar.disabledOnSite;
+    }
+
+    // Update site button
+    this.updateSiteButton();
     
     // Show/hide loading spinner
     this.elements.loadingSpinner.style.display = isLoading ? 'inline-block' : 'none';
@@ -350,6 +656,31 @@ class PopupController {
     this.updateLastUpdateTime();
   }
 
+  /**
+   * Update the "disable on this site" button
+   */
+  updateSiteButton() {
+    const { hostname } = this.state;
+
+    // The picker, overlay and diagnostics need a regular web page too
+    this.elements.pickBtn.style.display = hostname ? 'block' : 'none';
+    this.elements.overlayBtn.style.display = hostname ? 'block' : 'none';
+    this.elements.diagnostics.style.display = hostname ? 'block' : 'none';
+
+    if (!hostname) {
+      this.elements.siteBtn.style.display = 'none';
+      return;
+    }
+
+    const siteDisabled = this.isSiteDisabled();
+    this.elements.siteBtn.style.display = 'block';
+    this.elements.siteBtn.className = `site-button ${siteDisabled ? 'site-disabled' : ''}`;
+    this.elements.siteText.textContent = siteDisabled
+      ? this.strings.ar.enableOnSite
+      : this.strings.ar.disableOnSite;
+    this.elements.siteHost.textContent = hostname;
+  }
+
   /**
    * Update statistics display
    */
@@ -359,6 +690,10 @@ class PopupController {
     if (stats && stats.totalProcessed > 0) {
       this.elements.processedCount.textContent = stats.totalProcessed.toLocaleString('ar');
       this.elements.arabicRatio.textContent = `${Math.round(stats.averageArabicRatio * 100)}%`;
+      this.elements.scriptStats.textContent = Object.entries(stats.scripts || {})
+        .sort((a, b) => b[1] - a[1])
+        .map(([script, count]) => `${this.scriptLabels[script] || script}: ${count.toLocaleString('ar')}`)
+        .join(' • ');
       this.elements.statsGrid.style.display = 'grid';
     } else {
       this.elements.statsGrid.style.display = 'none';
@@ -438,6 +773,7 @@ class PopupController {
     setInterval(() => {
       if (this.state.isEnabled && !this.state.isLoading) {
         this.getStats();
+        if (this.elements.diagnostics.open) this.loadDiagnostics();
       }
     }, 5000);
   }
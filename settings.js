@@ -0,0 +1,574 @@
+/**
+ * Shared settings for the Muḥāthin extension
+ * Reads and persists ArabicRTLCorrector configuration and per-site rules
+ * in chrome.storage.sync
+ *
+ * Loaded by the content script, popup, options page and service worker.
+ */
+
+const MuhathinSettings = (function () {
+  "use strict";
+
+  const STORAGE_KEY = "rtlSettings";
+  const SITE_RULES_KEY = "siteRules";
+
+  // Bumped whenever stored settings need migrating
+  const SCHEMA_VERSION = 2;
+
+  // On/off keys used by popup.js and content.js before schema version 2
+  const LEGACY_ENABLED_KEYS = ["arabicRTLEnabled", "muhaThinEnabled"];
+
+  // How a site rule affects the global on/off switch
+  const SITE_MODES = ["inherit", "enable", "disable"];
+
+  // What the element picker can do with a picked element, and the site rule
+  // list its selector is stored in
+  const ELEMENT_ACTIONS = {
+    rtl: "rtlSelectors",
+    ltr: "ltrSelectors",
+    exclude: "excludeSelectors",
+  };
+
+  // RTL scripts the corrector can detect (ranges live in core/detection.js)
+  const RTL_SCRIPTS = [
+    "arabic",
+    "hebrew",
+    "syriac",
+    "thaana",
+    "nko",
+    "samaritan",
+    "mandaic",
+    "historic",
+  ];
+
+  // Default corrector configuration
+  const DEFAULTS = {
+    enabled: true,
+    arabicThreshold: 0.3,
+    debounceDelay: 150,
+    maxProcessingTime: 16,
+    enableVisualFeedback: true,
+    enableIframeHandling: true,
+    bidiIsolation: false,
+    liveDirection: true,
+    blockHeuristic: true,
+    minimalIntervention: false,
+    lazyProcessing: false,
+    persistContextActions: false,
+    mirrorStructures: false,
+    detectionStrategy: "ratio",
+    typography: false,
+    typographyFont: "sans",
+    typographyCustomFont: "",
+    typographyLineHeight: 1.8,
+    typographySizeBoost: 1.1,
+    numeralStyle: "off",
+    enabledScripts: [...RTL_SCRIPTS],
+  };
+
+  // Accepted ranges for numeric settings
+  const LIMITS = {
+    arabicThreshold: { min: 0.05, max: 1 },
+    debounceDelay: { min: 0, max: 2000 },
+    maxProcessingTime: { min: 4, max: 100 },
+    typographyLineHeight: { min: 1, max: 3 },
+    typographySizeBoost: { min: 1, max: 1.5 },
+  };
+
+  // Accepted values for settings with a fixed set of choices
+  const CHOICES = {
+    // ratio: Arabic-letter ratio against arabicThreshold
+    // firstStrong: the first letter decides, like dir="auto"
+    // hybrid: first letter, unless the text is mostly Arabic
+    detectionStrategy: ["ratio", "firstStrong", "hybrid"],
+    // system keeps the page's fonts; custom uses typographyCustomFont
+    typographyFont: ["system", "sans", "naskh", "kufi", "custom"],
+    // Digits shown in Arabic text: arabic (٠-٩), persian (۰-۹), or western
+    // to turn either of those back into 0-9
+    numeralStyle: ["off", "arabic", "persian", "western"],
+    // Any subset of RTL_SCRIPTS
+    enabledScripts: RTL_SCRIPTS,
+  };
+
+  /**
+   * Fill in defaults and clamp values to their accepted ranges
+   * @param {Object} raw - Settings as stored
+   * @returns {Object} Complete, valid settings
+   */
+  function normalize(raw) {
+    const settings = {
+      ...DEFAULTS,
+      enabledScripts: [...DEFAULTS.enabledScripts],
+      version: SCHEMA_VERSION,
+    };
+    if (!raw || typeof raw !== "object") return settings;
+
+    Object.keys(DEFAULTS).forEach((key) => {
+      const value = raw[key];
+
+      if (typeof DEFAULTS[key] === "boolean") {
+        if (typeof value === "boolean") settings[key] = value;
+        return;
+      }
+
+      if (Array.isArray(DEFAULTS[key])) {
+        settings[key] = Array.isArray(value)
+          ? CHOICES[key].filter((choice) => value.includes(choice))
+          : [...DEFAULTS[key]];
+        return;
+      }
+
+      if (CHOICES[key]) {
+        if (CHOICES[key].includes(value)) settings[key] = value;
+        return;
+      }
+
+      if (typeof DEFAULTS[key] === "string") {
+        if (typeof value === "string") settings[key] = value.trim().slice(0, 200);
+        return;
+      }
+
+      const number = Number(value);
+      if (value === null || value === "" || !Number.isFinite(number)) return;
+
+      const { min, max } = LIMITS[key];
+      settings[key] = Math.min(max, Math.max(min, number));
+    });
+
+    return settings;
+  }
+
+  /**
+   * Upgrade stored values from an older schema
+   * @param {Object} stored - Raw storage contents, including legacy keys
+   * @returns {Object} Normalized settings in the current schema
+   */
+  function migrate(stored) {
+    const current = stored[STORAGE_KEY];
+    const migrated = { ...current };
+
+    // Before version 2 the on/off state lived in its own keys, and popup.js
+    // and content.js disagreed on which one; the popup's key was the one the
+    // user actually toggled, so it wins.
+    const legacyEnabled = LEGACY_ENABLED_KEYS.map((key) => stored[key]).find(
+      (value) => typeof value === "boolean"
+    );
+    if (typeof legacyEnabled === "boolean") {
+      migrated.enabled = legacyEnabled;
+    }
+
+    return normalize(migrated);
+  }
+
+  /**
+   * Whether stored settings are older than the current schema
+   * @param {Object} stored - Raw settings object
+   * @returns {boolean}
+   */
+  function needsMigration(stored) {
+    return !stored || !(stored.version >= SCHEMA_VERSION);
+  }
+
+  /**
+   * Check whether chrome.storage is available
+   * @returns {boolean}
+   */
+  function hasStorage() {
+    return (
+      typeof chrome !== "undefined" && !!chrome.storage && !!chrome.storage.sync
+    );
+  }
+
+  /**
+   * Read keys from chrome.storage.sync
+   * @param {Array<string>} keys - Storage keys
+   * @returns {Promise<Object>} Stored values, empty if unavailable
+   */
+  function readKeys(keys) {
+    return new Promise((resolve) => {
+      if (!hasStorage()) {
+        resolve({});
+        return;
+      }
+
+      chrome.storage.sync.get(keys, (result) => {
+        if (chrome.runtime.lastError) {
+          console.error("Error reading storage:", chrome.runtime.lastError);
+          resolve({});
+          return;
+        }
+        resolve(result);
+      });
+    });
+  }
+
+  /**
+   * Read a single key from chrome.storage.sync
+   * @param {string} key - Storage key
+   * @returns {Promise<*>} Stored value, undefined if missing or unavailable
+   */
+  function readKey(key) {
+    return readKeys([key]).then((result) => result[key]);
+  }
+
+  /**
+   * Write a single key to chrome.storage.sync
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store
+   * @returns {Promise}
+   */
+  function writeKey(key, value) {
+    return new Promise((resolve, reject) => {
+      if (!hasStorage()) {
+        resolve();
+        return;
+      }
+
+      chrome.storage.sync.set({ [key]: value }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Remove keys from chrome.storage.sync
+   * @param {Array<string>} keys - Storage keys
+   * @returns {Promise}
+   */
+  function removeKeys(keys) {
+    return new Promise((resolve, reject) => {
+      if (!hasStorage()) {
+        resolve();
+        return;
+      }
+
+      chrome.storage.sync.remove(keys, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Load settings from storage, migrating older schemas first
+   * @returns {Promise<Object>} Normalized settings
+   */
+  function load() {
+    return readKeys([STORAGE_KEY, ...LEGACY_ENABLED_KEYS]).then((stored) => {
+      if (!needsMigration(stored[STORAGE_KEY])) {
+        return normalize(stored[STORAGE_KEY]);
+      }
+
+      const settings = migrate(stored);
+      return writeKey(STORAGE_KEY, settings)
+        .then(() => removeKeys(LEGACY_ENABLED_KEYS))
+        .then(() => settings)
+        .catch((error) => {
+          console.error("Error migrating settings:", error);
+          return settings;
+        });
+    });
+  }
+
+  /**
+   * Persist settings to storage
+   * @param {Object} settings - Settings to save (missing keys use defaults)
+   * @returns {Promise<Object>} The normalized settings that were saved
+   */
+  function save(settings) {
+    const normalized = normalize(settings);
+    return writeKey(STORAGE_KEY, normalized).then(() => normalized);
+  }
+
+  /**
+   * Change some settings, keeping the rest as stored
+   * @param {Object} changes - Settings to change
+   * @returns {Promise<Object>} The normalized settings that were saved
+   */
+  function update(changes) {
+    return load().then((current) => save({ ...current, ...changes }));
+  }
+
+  /**
+   * Restore default settings, keeping the on/off state
+   * @returns {Promise<Object>} Default settings
+   */
+  function reset() {
+    return load().then((current) =>
+      save({ ...DEFAULTS, enabled: current.enabled })
+    );
+  }
+
+  /**
+   * Call back with the new value of a storage key whenever it changes
+   * @param {string} key - Storage key to watch
+   * @param {Function} callback - Receives the raw new value
+   */
+  function watchKey(key, callback) {
+    if (!hasStorage()) return;
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "sync" || !changes[key]) return;
+
+      try {
+        callback(changes[key].newValue);
+      } catch (error) {
+        console.error("Error handling settings change:", error);
+      }
+    });
+  }
+
+  /**
+   * Call back with the new settings whenever they change
+   * @param {Function} callback - Receives the normalized settings
+   */
+  function onChange(callback) {
+    watchKey(STORAGE_KEY, (value) => callback(normalize(value)));
+  }
+
+  /**
+   * Reduce a hostname or URL to a bare lowercase hostname
+   * @param {string} input - Hostname, host:port or URL
+   * @returns {string} Hostname, or an empty string if unusable
+   */
+  function normalizeHost(input) {
+    try {
+      const value = String(input || "").trim().toLowerCase();
+      if (!value) return "";
+
+      const host = value.includes("://")
+        ? new URL(value).hostname
+        : value.split("/")[0].replace(/:\d+$/, "");
+      return host.replace(/\.$/, "");
+    } catch (error) {
+      return "";
+    }
+  }
+
+  /**
+   * Turn a list or newline-separated string into trimmed selectors
+   * @param {Array|string} value - Selectors
+   * @returns {Array<string>} Non-empty selectors
+   */
+  function toSelectorList(value) {
+    const list = Array.isArray(value) ? value : String(value || "").split("\n");
+    return list.map((selector) => String(selector).trim()).filter(Boolean);
+  }
+
+  /**
+   * Fill in defaults for a per-site rule
+   * @param {Object} raw - Rule as stored
+   * @returns {Object} Rule with mode, optional threshold and selector lists
+   */
+  function normalizeSiteRule(raw) {
+    const rule = {
+      mode: "inherit",
+      targetSelectors: [],
+      skipSelectors: [],
+      rtlSelectors: [],
+      ltrSelectors: [],
+      excludeSelectors: [],
+    };
+    if (!raw || typeof raw !== "object") return rule;
+
+    if (SITE_MODES.includes(raw.mode)) {
+      rule.mode = raw.mode;
+    }
+
+    const threshold = Number(raw.arabicThreshold);
+    if (
+      raw.arabicThreshold !== null &&
+      raw.arabicThreshold !== undefined &&
+      raw.arabicThreshold !== "" &&
+      Number.isFinite(threshold)
+    ) {
+      const { min, max } = LIMITS.arabicThreshold;
+      rule.arabicThreshold = Math.min(max, Math.max(min, threshold));
+    }
+
+    if (CHOICES.detectionStrategy.includes(raw.detectionStrategy)) {
+      rule.detectionStrategy = raw.detectionStrategy;
+    }
+
+    rule.targetSelectors = toSelectorList(raw.targetSelectors);
+    rule.skipSelectors = toSelectorList(raw.skipSelectors);
+    rule.rtlSelectors = toSelectorList(raw.rtlSelectors);
+    rule.ltrSelectors = toSelectorList(raw.ltrSelectors);
+    rule.excludeSelectors = toSelectorList(raw.excludeSelectors);
+
+    return rule;
+  }
+
+  /**
+   * Find the rule for a hostname, falling back to its parent domains
+   * @param {Object} rules - Rules keyed by hostname
+   * @param {string} hostname - Hostname of the page
+   * @returns {Object|null} The most specific matching rule
+   */
+  function findSiteRule(rules, hostname) {
+    let host = normalizeHost(hostname);
+
+    while (host && rules) {
+      if (rules[host]) {
+        return normalizeSiteRule(rules[host]);
+      }
+      const dot = host.indexOf(".");
+      if (dot === -1) break;
+      host = host.slice(dot + 1);
+    }
+
+    return null;
+  }
+
+  /**
+   * Merge a site rule's overrides into the global settings
+   * @param {Object} settings - Normalized global settings
+   * @param {Object|null} rule - Normalized site rule
+   * @returns {Object} Corrector configuration for the site
+   */
+  function applySiteRule(settings, rule) {
+    const config = { ...settings };
+    if (!rule) return config;
+
+    if (rule.arabicThreshold !== undefined) {
+      config.arabicThreshold = rule.arabicThreshold;
+    }
+    if (rule.detectionStrategy !== undefined) {
+      config.detectionStrategy = rule.detectionStrategy;
+    }
+    config.extraTargetSelectors = rule.targetSelectors;
+    config.extraSkipSelectors = rule.skipSelectors;
+    config.forceRTLSelectors = rule.rtlSelectors;
+    config.forceLTRSelectors = rule.ltrSelectors;
+    config.excludeSelectors = rule.excludeSelectors;
+
+    return config;
+  }
+
+  /**
+   * Load all per-site rules
+   * @returns {Promise<Object>} Normalized rules keyed by hostname
+   */
+  function loadSiteRules() {
+    return readKey(SITE_RULES_KEY).then((stored) => {
+      const rules = {};
+      if (stored && typeof stored === "object") {
+        Object.keys(stored).forEach((host) => {
+          rules[host] = normalizeSiteRule(stored[host]);
+        });
+      }
+      return rules;
+    });
+  }
+
+  /**
+   * Create or replace the rule for a hostname
+   * @param {string} hostname - Hostname or URL
+   * @param {Object} rule - Rule to store
+   * @returns {Promise<Object>} All rules after the update
+   */
+  function saveSiteRule(hostname, rule) {
+    const host = normalizeHost(hostname);
+    if (!host) {
+      return Promise.reject(new Error("Invalid hostname"));
+    }
+
+    return loadSiteRules().then((rules) => {
+      rules[host] = normalizeSiteRule(rule);
+      return writeKey(SITE_RULES_KEY, rules).then(() => rules);
+    });
+  }
+
+  /**
+   * Record an element picked on a page as a rule for its site
+   *
+   * A site without its own rule starts from the rule it currently inherits
+   * from a parent domain, so picking an element doesn't drop those overrides.
+   * @param {string} hostname - Hostname or URL of the page
+   * @param {string} selector - Selector of the picked element
+   * @param {string} action - "rtl", "ltr" or "exclude"
+   * @returns {Promise<Object>} All rules after the update
+   */
+  function addElementRule(hostname, selector, action) {
+    const host = normalizeHost(hostname);
+    const listKey = ELEMENT_ACTIONS[action];
+    if (!host || !listKey || !selector) {
+      return Promise.reject(new Error("Invalid element rule"));
+    }
+
+    return loadSiteRules().then((rules) => {
+      const rule = rules[host] || findSiteRule(rules, host) || normalizeSiteRule();
+
+      // A selector lives in one list only; the latest choice wins
+      Object.values(ELEMENT_ACTIONS).forEach((key) => {
+        rule[key] = rule[key].filter((existing) => existing !== selector);
+      });
+      rule[listKey].push(selector);
+
+      return saveSiteRule(host, rule);
+    });
+  }
+
+  /**
+   * Delete the rule for a hostname
+   * @param {string} hostname - Hostname or URL
+   * @returns {Promise<Object>} All rules after the update
+   */
+  function removeSiteRule(hostname) {
+    const host = normalizeHost(hostname);
+
+    return loadSiteRules().then((rules) => {
+      delete rules[host];
+      return writeKey(SITE_RULES_KEY, rules).then(() => rules);
+    });
+  }
+
+  /**
+   * Call back with all rules whenever any site rule changes
+   * @param {Function} callback - Receives the normalized rules
+   */
+  function onSiteRulesChange(callback) {
+    watchKey(SITE_RULES_KEY, () => {
+      loadSiteRules().then(callback);
+    });
+  }
+
+  return {
+    STORAGE_KEY,
+    SCHEMA_VERSION,
+    DEFAULTS,
+    LIMITS,
+    CHOICES,
+    RTL_SCRIPTS,
+    normalize,
+    migrate,
+    load,
+    save,
+    update,
+    reset,
+    onChange,
+    SITE_RULES_KEY,
+    SITE_MODES,
+    ELEMENT_ACTIONS,
+    normalizeHost,
+    normalizeSiteRule,
+    findSiteRule,
+    applySiteRule,
+    loadSiteRules,
+    saveSiteRule,
+    addElementRule,
+    removeSiteRule,
+    onSiteRulesChange,
+  };
+})();
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MuhathinSettings;
+}
@@ -0,0 +1,35 @@
+/**
+ * Main-world hook that announces newly attached open shadow roots
+ *
+ * content.js runs in an isolated world and cannot see the page's
+ * attachShadow() calls, so this script (injected with "world": "MAIN")
+ * dispatches a DOM event on the host that the corrector listens for.
+ * Hosts that are not yet in the document are picked up by the corrector's
+ * MutationObserver once they are inserted.
+ */
+
+(function () {
+  "use strict";
+
+  const originalAttachShadow = Element.prototype.attachShadow;
+  if (typeof originalAttachShadow !== "function") return;
+
+  Element.prototype.attachShadow = function attachShadow(init) {
+    const shadowRoot = originalAttachShadow.call(this, init);
+
+    if (init && init.mode === "open" && this.isConnected) {
+      try {
+        this.dispatchEvent(
+          new CustomEvent("muhathin:shadow-root-attached", {
+            bubbles: true,
+            composed: true,
+          })
+        );
+      } catch (error) {
+        // Never break the page's own attachShadow() call
+      }
+    }
+
+    return shadowRoot;
+  };
+})();
@@ -0,0 +1,84 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const RTLDetector = require("../core/detection.js");
+
+describe("RTLDetector", () => {
+  const detector = new RTLDetector();
+
+  it("runs without a DOM", () => {
+    assert.equal(typeof document, "undefined");
+    assert.equal(detector.detect("مرحبا بالعالم").isRTL, true);
+  });
+
+  it("applies the detection strategies", () => {
+    const text = "Release notes: ما الجديد في هذا الإصدار";
+
+    assert.deepEqual(detector.detect(text), {
+      isRTL: true,
+      reason: "threshold",
+      ratio: detector.calculateRatio(text),
+    });
+    assert.equal(detector.detect(text, { strategy: "firstStrong" }).isRTL, false);
+
+    // A lone Arabic word is enough for p, span, h1 and a
+    const minority = "Hello wonderful world مرحبا";
+    assert.equal(detector.detect(minority, { tagName: "P" }).reason, "forced-tag");
+    assert.equal(detector.detect(minority, { tagName: "DIV" }).isRTL, false);
+  });
+
+  it("counts astral-plane RTL letters once", () => {
+    const mathematical = "\u{1EE00}\u{1EE01}\u{1EE02}\u{1EE03}";
+    const phoenician = "\u{10900}\u{10901}\u{10902}";
+
+    assert.equal(detector.calculateRatio(mathematical), 1);
+    assert.equal(detector.calculateRatio(`${phoenician} abc`), 0.5);
+    assert.equal(detector.detect(`${mathematical} word word`).isRTL, true);
+  });
+
+  it("only detects the enabled scripts", () => {
+    const arabicOnly = new RTLDetector({ enabledScripts: ["arabic"] });
+    assert.equal(arabicOnly.calculateRatio("שלום עולם"), 0);
+
+    const none = new RTLDetector({ enabledScripts: [] });
+    assert.equal(none.detect("مرحبا").isRTL, false);
+    assert.deepEqual(none.splitRuns("مرحبا world", "rtl"), []);
+  });
+
+  it("splits text into directional runs", () => {
+    assert.deepEqual(detector.splitRuns("افتح Google Chrome الآن", "rtl"), [
+      { text: "افتح ", direction: null },
+      { text: "Google Chrome", direction: "ltr" },
+      { text: " الآن", direction: null },
+    ]);
+    assert.deepEqual(detector.splitRuns("نص عربي فقط", "rtl"), []);
+  });
+
+  it("keeps bracket pairs on one side of a run", () => {
+    assert.deepEqual(detector.splitRuns("الدالة (getUser) ترجع", "rtl"), [
+      { text: "الدالة ", direction: null },
+      { text: "(getUser)", direction: "ltr" },
+      { text: " ترجع", direction: null },
+    ]);
+    assert.deepEqual(detector.splitRuns("(انظر الملف README) أولاً", "rtl"), [
+      { text: "(انظر الملف ", direction: null },
+      { text: "README", direction: "ltr" },
+      { text: ") أولاً", direction: null },
+    ]);
+    assert.deepEqual(detector.splitRuns("استدعِ f(x) هنا", "rtl")[1], {
+      text: "f(x)",
+      direction: "ltr",
+    });
+  });
+
+  it("picks a text alignment per tag", () => {
+    assert.equal(RTLDetector.getTextAlign("BUTTON"), "center");
+    assert.equal(RTLDetector.getTextAlign("TD"), "inherit");
+    assert.equal(RTLDetector.getTextAlign("P"), "right");
+  });
+
+  it("is available as an ES module", async () => {
+    const module = await import("../core/index.mjs");
+    assert.equal(module.RTLDetector, RTLDetector);
+    assert.equal(module.default, RTLDetector);
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadHTML } = require("./harness");
+
+describe("detection", () => {
+  let corrector;
+
+  before(async () => {
+    ({ corrector } = await loadHTML("<!DOCTYPE html><body></body>"));
+  });
+
+  it("counts only letters in the Arabic ratio", () => {
+    assert.equal(corrector.calculateArabicRatio("مرحبا"), 1);
+    assert.equal(corrector.calculateArabicRatio("hello"), 0);
+    assert.equal(corrector.calculateArabicRatio("مرحبا hello"), 0.5);
+    assert.equal(corrector.calculateArabicRatio("123 456 !?"), 0);
+    assert.equal(corrector.calculateArabicRatio(""), 0);
+  });
+
+  it("finds the first strong direction", () => {
+    assert.equal(corrector.getFirstStrongDirection("123 مرحبا hello"), "rtl");
+    assert.equal(corrector.getFirstStrongDirection("(hello) مرحبا"), "ltr");
+    assert.equal(corrector.getFirstStrongDirection("123 456"), null);
+  });
+
+  it("names the dominant script", () => {
+    assert.equal(corrector.getDominantScript("שלום עולם"), "hebrew");
+    assert.equal(corrector.getDominantScript("مرحبا بالعالم"), "arabic");
+    // Astral-plane scripts such as Phoenician
+    assert.equal(
+      corrector.getDominantScript("\u{10900}\u{10901}\u{10902}"),
+      "historic"
+    );
+    assert.equal(corrector.getDominantScript("hello"), null);
+  });
+
+  it("converts digits but leaves URLs alone", () => {
+    corrector.config.numeralStyle = "arabic";
+    assert.equal(
+      corrector.convertDigits("صفحة 12 من https://example.com/page/3"),
+      "صفحة ١٢ من https://example.com/page/3"
+    );
+
+    corrector.config.numeralStyle = "western";
+    assert.equal(corrector.convertDigits("٢٠٢٤ و ۱۴۰۳"), "2024 و 1403");
+
+    corrector.config.numeralStyle = "off";
+    assert.equal(corrector.convertDigits("12"), "12");
+  });
+});
@@ -0,0 +1,217 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+const { fixHTML, createDiff } = require("../cli/fix-html.js");
+const { main } = require("../bin/muhathin-fix.js");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+
+describe("fixHTML", () => {
+  it("adds dir to RTL elements and leaves the rest of the source alone", () => {
+    const source = [
+      "<body>",
+      "  <!-- نص -->",
+      "  <h1>مرحبا بكم</h1>",
+      '  <p class="intro">English only</p>',
+      "</body>",
+    ].join("\n");
+
+    const { output, changes } = fixHTML(source);
+    assert.equal(output, source.replace("<h1>", '<h1 dir="rtl">'));
+    assert.deepEqual(changes, { dir: 1, bdi: 0 });
+  });
+
+  it("wraps opposite-direction runs in <bdi>", () => {
+    const { output } = fixHTML("<p>افتح Google Chrome &amp; انتظر</p>");
+    assert.equal(
+      output,
+      '<p dir="rtl">افتح <bdi dir="ltr">Google Chrome</bdi> &amp; انتظر</p>'
+    );
+  });
+
+  it("keeps brackets balanced around <bdi>", () => {
+    const { output } = fixHTML("<p>الدالة (getUser) ترجع [ملف README]</p>");
+    assert.equal(
+      output,
+      '<p dir="rtl">الدالة <bdi dir="ltr">(getUser)</bdi> ترجع ' +
+        '[ملف <bdi dir="ltr">README</bdi>]</p>'
+    );
+
+    // Every bracket pair sits on one side of an isolate
+    const { document } = new JSDOM(output).window;
+    document.querySelectorAll("bdi").forEach((bdi) => {
+      const opened = (bdi.textContent.match(/[([{]/g) || []).length;
+      const closed = (bdi.textContent.match(/[)\]}]/g) || []).length;
+      assert.equal(opened, closed, bdi.outerHTML);
+    });
+  });
+
+  it("keeps the author's dir and skip markers", () => {
+    const source = [
+      '<p dir="ltr">نص عربي</p>',
+      "<pre>كود عربي</pre>",
+      "<p data-rtl-skip>نص متجاهل</p>",
+    ].join("\n");
+    assert.equal(fixHTML(source, { bdi: false }).output, source);
+  });
+
+  it("doesn't repeat dir on elements inside an RTL ancestor", () => {
+    const { output } = fixHTML(
+      "<ul><li>البند الأول<ol><li>بند فرعي</li></ol></li></ul>",
+      { bdi: false }
+    );
+    assert.equal(
+      output,
+      '<ul><li dir="rtl">البند الأول<ol><li>بند فرعي</li></ol></li></ul>'
+    );
+  });
+
+  it("can add dir=auto instead", () => {
+    const { output } = fixHTML("<div>نص عربي في عنصر div</div>", {
+      dir: "auto",
+      bdi: false,
+    });
+    assert.equal(output, '<div dir="auto">نص عربي في عنصر div</div>');
+  });
+
+  it("marks what the corrector marks in the fixture pages", () => {
+    ["mixed-text", "nested-lists", "skip-markers"].forEach((name) => {
+      const source = fs.readFileSync(path.join(FIXTURES, `${name}.html`), "utf8");
+      const { output } = fixHTML(source, { bdi: false });
+
+      // Reparse and check every element expected to turn RTL is RTL now
+      const { document } = new JSDOM(output).window;
+      document.querySelectorAll('[data-expect="rtl"]').forEach((element) => {
+        const owner = element.closest("[dir]");
+        assert.ok(
+          owner && owner.getAttribute("dir") === "rtl",
+          `${name}: ${element.outerHTML}`
+        );
+      });
+    });
+  });
+});
+
+describe("createDiff", () => {
+  it("prints changed lines with context", () => {
+    const before = ["a", "b", "c", "d", "e", "f", "g", "h", "i"].join("\n");
+    const after = before.replace("e", "E");
+
+    assert.equal(
+      createDiff("x.html", before, after),
+      [
+        "--- a/x.html",
+        "+++ b/x.html",
+        "@@ -2,7 +2,7 @@",
+        " b",
+        " c",
+        " d",
+        "-e",
+        "+E",
+        " f",
+        " g",
+        " h",
+        "",
+      ].join("\n")
+    );
+    assert.equal(createDiff("x.html", before, before), "");
+  });
+});
+
+describe("muhathin-fix", () => {
+  const run = (args) => {
+    const output = { stdout: "", stderr: "" };
+    const write = process.stdout.write;
+    const error = console.error;
+    process.stdout.write = (chunk) => {
+      output.stdout += chunk;
+      return true;
+    };
+    console.error = (...parts) => {
+      output.stderr += `${parts.join(" ")}\n`;
+    };
+    try {
+      output.code = main(args);
+    } finally {
+      process.stdout.write = write;
+      console.error = error;
+    }
+    return output;
+  };
+
+  const makeSite = (t) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "muhathin-"));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(root, "docs", "guide"), { recursive: true });
+    fs.writeFileSync(path.join(root, "docs", "index.html"), "<p>مرحبا بكم</p>\n");
+    fs.writeFileSync(
+      path.join(root, "docs", "guide", "intro.htm"),
+      "<p>Hello</p>\n"
+    );
+    fs.writeFileSync(path.join(root, "docs", "notes.txt"), "مرحبا\n");
+    return root;
+  };
+
+  it("shows a diff without writing in dry-run mode", (t) => {
+    const root = makeSite(t);
+    const index = path.join(root, "docs", "index.html");
+    const { code, stdout } = run(["--dry-run", path.join(root, "docs")]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /^\+<p dir="rtl">مرحبا بكم<\/p>$/m);
+    assert.equal(fs.readFileSync(index, "utf8"), "<p>مرحبا بكم</p>\n");
+  });
+
+  it("rewrites files in place", (t) => {
+    const root = makeSite(t);
+    run(["--write", path.join(root, "docs")]);
+
+    const read = (...parts) => fs.readFileSync(path.join(root, ...parts), "utf8");
+    assert.equal(read("docs", "index.html"), '<p dir="rtl">مرحبا بكم</p>\n');
+    assert.equal(read("docs", "guide", "intro.htm"), "<p>Hello</p>\n");
+    assert.equal(read("docs", "notes.txt"), "مرحبا\n");
+  });
+
+  it("writes every page to the output folder", (t) => {
+    const root = makeSite(t);
+    const out = path.join(root, "out");
+    run(["--out-dir", out, path.join(root, "docs")]);
+
+    assert.equal(
+      fs.readFileSync(path.join(out, "index.html"), "utf8"),
+      '<p dir="rtl">مرحبا بكم</p>\n'
+    );
+    assert.ok(fs.existsSync(path.join(out, "guide", "intro.htm")));
+    assert.ok(!fs.existsSync(path.join(out, "notes.txt")));
+  });
+
+  it("refuses to write two files to the same output", (t) => {
+    const root = makeSite(t);
+    const out = path.join(root, "out");
+    fs.mkdirSync(path.join(root, "other"));
+    fs.writeFileSync(path.join(root, "other", "index.html"), "<p>نص آخر</p>\n");
+
+    const { code, stderr } = run([
+      "--out-dir",
+      out,
+      path.join(root, "docs", "index.html"),
+      path.join(root, "other", "index.html"),
+    ]);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /already written from .*docs/);
+    assert.equal(
+      fs.readFileSync(path.join(out, "index.html"), "utf8"),
+      '<p dir="rtl">مرحبا بكم</p>\n'
+    );
+  });
+
+  it("rejects bad arguments", () => {
+    assert.equal(run(["docs"]).code, 2);
+    assert.equal(run(["--write", "--dry-run", "docs"]).code, 2);
+    assert.equal(run(["--write", "--dir", "ltr", "docs"]).code, 2);
+  });
+});
@@ -0,0 +1,561 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  loadFixture,
+  loadHTML,
+  settle,
+  checkExpectations,
+  getAppliedDirection,
+} = require("./harness");
+
+const FIXTURES = [
+  "mixed-text",
+  "inputs",
+  "skip-markers",
+  "dir-ltr",
+  "nested-lists",
+];
+
+describe("fixture expectations", () => {
+  FIXTURES.forEach((name) => {
+    it(`${name}.html matches its data-expect annotations`, async () => {
+      const { document } = await loadFixture(name);
+      assert.deepEqual(checkExpectations(document), []);
+    });
+  });
+});
+
+describe("mixed text", () => {
+  it("marks RTL elements with their ratio, script and direction", async () => {
+    const { document } = await loadFixture("mixed-text");
+    const arabic = document.getElementById("arabic");
+
+    assert.equal(arabic.getAttribute("data-arabic-ratio"), "1.00");
+    assert.equal(arabic.getAttribute("data-rtl-script"), "arabic");
+    assert.equal(arabic.getAttribute("dir"), "rtl");
+    assert.equal(arabic.style.direction, "");
+
+    const hebrew = document.getElementById("hebrew");
+    assert.equal(hebrew.getAttribute("data-rtl-script"), "hebrew");
+  });
+
+  it("decides on the first strong letter with the firstStrong strategy", async () => {
+    const { document } = await loadFixture("mixed-text", {
+      detectionStrategy: "firstStrong",
+    });
+
+    const direction = (id) =>
+      getAppliedDirection(document.getElementById(id));
+    assert.equal(direction("span-forced"), "");
+    assert.equal(direction("mixed-majority"), "rtl");
+  });
+
+  it("leaves disabled scripts alone", async () => {
+    const { document } = await loadFixture("mixed-text", {
+      enabledScripts: ["arabic"],
+    });
+
+    const direction = (id) =>
+      getAppliedDirection(document.getElementById(id));
+    assert.equal(direction("hebrew"), "");
+    assert.equal(direction("arabic"), "rtl");
+  });
+
+  it("processes content added after load", async () => {
+    const page = await loadFixture("mixed-text");
+    const paragraph = page.document.createElement("p");
+    paragraph.textContent = "فقرة جديدة أضيفت لاحقا";
+    page.document.body.appendChild(paragraph);
+
+    await settle(page);
+    assert.equal(paragraph.getAttribute("data-rtl-applied"), "true");
+    assert.equal(getAppliedDirection(paragraph), "rtl");
+  });
+
+  it("removes everything it applied when disabled", async () => {
+    const { document, corrector } = await loadFixture("mixed-text");
+    corrector.disable();
+
+    assert.equal(document.querySelectorAll("[data-rtl-applied]").length, 0);
+    assert.equal(document.querySelectorAll("[data-rtl-script]").length, 0);
+    assert.equal(document.querySelectorAll("[data-rtl-dir]").length, 0);
+    document.querySelectorAll("[data-expect]").forEach((element) => {
+      assert.equal(element.style.direction, "", element.id);
+      assert.equal(element.style.textAlign, "", element.id);
+      assert.equal(element.style.unicodeBidi, "", element.id);
+    });
+    assert.equal(document.getElementById("arabic").hasAttribute("dir"), false);
+  });
+});
+
+describe("bidi model", () => {
+  it("isolates inline elements, aligns blocks and lets fields follow each line", async () => {
+    const { document } = await loadHTML(`
+      <p id="block">فقرة عربية طويلة</p>
+      <p>Read <span id="inline">كلمة عربية</span> in English</p>
+      <textarea id="field">نص عربي في مربع نص</textarea>
+      <table><tr><td id="cell">خلية عربية</td></tr></table>
+    `);
+    const style = (id) => document.getElementById(id).style;
+
+    assert.equal(style("block").textAlign, "right");
+    assert.equal(style("block").unicodeBidi, "");
+
+    assert.equal(style("inline").unicodeBidi, "isolate");
+    assert.equal(style("inline").textAlign, "");
+
+    assert.equal(style("field").unicodeBidi, "plaintext");
+    assert.equal(style("field").textAlign, "start");
+
+    assert.equal(style("cell").textAlign, "inherit");
+
+    // Every RTL element carries dir="rtl" and nothing embeds or overrides
+    document.querySelectorAll("[data-rtl-applied]").forEach((element) => {
+      assert.equal(element.getAttribute("dir"), "rtl", element.outerHTML);
+      assert.equal(element.style.direction, "", element.outerHTML);
+    });
+    assert.doesNotMatch(document.body.innerHTML, /embed|bidi-override/);
+  });
+
+  it("keeps Latin runs in order inside RTL paragraphs", async () => {
+    const { document } = await loadFixture("mixed-text", {
+      bidiIsolation: true,
+    });
+    const paragraph = document.getElementById("mixed-majority");
+    const runs = paragraph.querySelectorAll("bdi[data-rtl-bidi]");
+
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].getAttribute("dir"), "ltr");
+    assert.equal(runs[0].textContent, "git status");
+    assert.equal(paragraph.textContent, "استخدم الأمر git status قبل الحفظ");
+  });
+
+  it("isolates parenthesised Latin together with its brackets", async () => {
+    const { document } = await loadFixture("mixed-text", {
+      bidiIsolation: true,
+    });
+    const paragraph = document.getElementById("mixed-brackets");
+    const runs = paragraph.querySelectorAll("bdi[data-rtl-bidi]");
+
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].textContent, "(getUser)");
+    assert.equal(
+      paragraph.textContent,
+      "الدالة (getUser) ترجع المستخدم الحالي"
+    );
+  });
+});
+
+describe("inputs", () => {
+  it("follows the text while typing in a textarea", async () => {
+    const page = await loadFixture("inputs");
+    const textarea = page.document.getElementById("textarea");
+
+    textarea.value = "Now written in English";
+    textarea.dispatchEvent(new page.window.Event("input", { bubbles: true }));
+    await settle(page);
+    assert.notEqual(getAppliedDirection(textarea), "rtl");
+
+    textarea.value = "عاد النص إلى العربية";
+    textarea.dispatchEvent(new page.window.Event("input", { bubbles: true }));
+    await settle(page);
+    assert.equal(getAppliedDirection(textarea), "rtl");
+  });
+});
+
+describe("skip markers", () => {
+  it("honours extra skip selectors from the site rule", async () => {
+    const { document } = await loadFixture("skip-markers", {
+      extraSkipSelectors: [".comment-meta"],
+    });
+
+    const direction = (id) =>
+      getAppliedDirection(document.getElementById(id));
+    assert.equal(direction("site-skip"), "");
+    assert.equal(direction("control"), "rtl");
+  });
+
+  it("excludes a region right away and keeps it excluded", async () => {
+    const page = await loadHTML(`
+      <div id="widget"><p id="inside">تعليق عربي داخل الأداة</p></div>
+      <p id="outside">فقرة عربية خارج الأداة</p>
+    `);
+    const { document, corrector } = page;
+    const inside = document.getElementById("inside");
+
+    corrector.excludeElement(document.getElementById("widget"));
+    assert.equal(getAppliedDirection(inside), "");
+
+    inside.textContent = "تعليق عربي معدّل";
+    await settle(page);
+    assert.equal(getAppliedDirection(inside), "");
+    assert.equal(
+      getAppliedDirection(document.getElementById("outside")),
+      "rtl"
+    );
+  });
+});
+
+describe("nested lists", () => {
+  it("mirrors lists whose items are mostly Arabic", async () => {
+    const { document } = await loadFixture("nested-lists", {
+      mirrorStructures: true,
+    });
+
+    const mirrored = (id) =>
+      document.getElementById(id).getAttribute("data-rtl-mirrored");
+    assert.equal(mirrored("arabic-list"), "true");
+    assert.equal(mirrored("nested-list"), "true");
+    assert.equal(mirrored("english-list"), null);
+    assert.equal(mirrored("mixed-list"), null);
+  });
+});
+
+describe("author direction", () => {
+  it("leaves a properly localised RTL page alone", async () => {
+    const { document } = await loadHTML(
+      '<html dir="rtl"><body><h1>مرحبا بكم</h1><p>نص عربي في موقع معرّب</p></body></html>'
+    );
+    assert.equal(document.querySelectorAll("[data-rtl-applied]").length, 0);
+    assert.equal(document.querySelectorAll("[style]").length, 0);
+  });
+
+  it("only adds dir where the direction is wrong in minimal mode", async () => {
+    const { document, corrector } = await loadFixture("nested-lists", {
+      minimalIntervention: true,
+    });
+    const [first, second] = document.querySelectorAll("#arabic-list > li");
+    const nested = document.querySelector("#nested-list > li");
+
+    assert.equal(first.getAttribute("dir"), "rtl");
+    assert.equal(first.getAttribute("data-rtl-dir"), "true");
+    assert.equal(first.style.direction, "");
+    assert.equal(first.style.textAlign, "");
+    assert.equal(second.getAttribute("dir"), "rtl");
+
+    // Already RTL through its parent item
+    assert.equal(nested.hasAttribute("dir"), false);
+    assert.equal(nested.hasAttribute("data-rtl-applied"), false);
+
+    corrector.disable();
+    assert.equal(first.hasAttribute("dir"), false);
+    assert.equal(first.hasAttribute("data-rtl-dir"), false);
+  });
+
+  it("checks each ancestor's direction once per run", async () => {
+    const items = Array.from(
+      { length: 20 },
+      (_, i) => `<li>عنصر عربي رقم ${i}</li>`
+    ).join("");
+    const { window, document, corrector } = await loadHTML(
+      `<div><section><article><ul>${items}</ul></article></section></div>`
+    );
+    const list = document.querySelector("ul");
+
+    let checked = 0;
+    const getComputedStyle = window.getComputedStyle;
+    window.getComputedStyle = (element, ...rest) => {
+      if (element === list) checked++;
+      return getComputedStyle.call(window, element, ...rest);
+    };
+    corrector.updateConfig({});
+    await settle({ window, corrector });
+
+    assert.equal(document.querySelectorAll("li[dir=rtl]").length, 20);
+    assert.ok(checked < 5, `ul checked ${checked} times`);
+  });
+
+  it("sees direction changes made between runs", async () => {
+    const page = await loadHTML("<body><p>فقرة عربية أولى</p></body>");
+    const { document } = page;
+
+    document.body.setAttribute("dir", "rtl");
+    const added = document.createElement("p");
+    added.textContent = "فقرة عربية مضافة";
+    document.body.appendChild(added);
+    await settle(page);
+
+    assert.equal(added.hasAttribute("data-rtl-applied"), false);
+  });
+});
+
+describe("diagnostics", () => {
+  it("counts decision reasons and explains skipped elements", async () => {
+    const { document, corrector } = await loadHTML(`
+      <p id="forced-tag">فقرة عربية</p>
+      <ul><li id="threshold">عنصر قائمة عربي</li></ul>
+      <div id="ltr-text">Mostly English text with a single word عربي in it</div>
+      <p id="skip" class="rtl-skip">نص عربي متروك</p>
+      <p id="hidden" style="display: none">نص عربي مخفي</p>
+      <p id="author" dir="ltr">نص عربي باتجاه من الموقع</p>
+      <p id="english">No right-to-left letters at all</p>
+    `);
+
+    assert.equal(
+      document.getElementById("threshold").getAttribute("data-rtl-reason"),
+      "threshold"
+    );
+
+    const { stats, skipped, lastScan, mutations } = corrector.getDiagnostics();
+    assert.equal(stats.reasons["forced-tag"], 1);
+    assert.equal(stats.reasons.threshold, 1);
+
+    const reasons = Object.fromEntries(
+      skipped.map(({ element, reason }) => [element.id, reason])
+    );
+    assert.deepEqual(reasons, {
+      "ltr-text": "ltr-text",
+      skip: "skip-selector",
+      hidden: "hidden",
+      author: "author-direction",
+    });
+
+    assert.equal(lastScan.elements > 0, true);
+    assert.equal(typeof lastScan.duration, "number");
+    assert.equal(mutations.batches, 0);
+  });
+
+  it("drops a skipped element once it is made RTL", async () => {
+    const { document, corrector } = await loadHTML(
+      '<div id="block">Mostly English text with a single word عربي in it</div>'
+    );
+    const block = document.getElementById("block");
+    assert.equal(corrector.getDiagnostics().skipped.length, 1);
+
+    corrector.forceDirection(block, "rtl");
+    assert.equal(corrector.getDiagnostics().skipped.length, 0);
+    assert.equal(block.getAttribute("data-rtl-reason"), "forced");
+  });
+
+  it("counts mutation batches", async () => {
+    const page = await loadHTML("<p>فقرة عربية</p>");
+    const paragraph = page.document.createElement("p");
+    paragraph.textContent = "فقرة أضيفت لاحقا";
+    page.document.body.appendChild(paragraph);
+    await settle(page);
+
+    const { mutations, lastMutationBatch } = page.corrector.getDiagnostics();
+    assert.equal(mutations.batches, 1);
+    assert.equal(mutations.elements >= 1, true);
+    assert.equal(lastMutationBatch.elements, mutations.elements);
+  });
+
+  it("doesn't count its own bidi runs and numerals as mutations", async () => {
+    const page = await loadHTML(
+      '<p id="mixed">افتح Google Chrome صفحة 12</p>',
+      { bidiIsolation: true, numeralStyle: "arabic" }
+    );
+    const { document, corrector } = page;
+    const paragraph = document.getElementById("mixed");
+    assert.equal(paragraph.querySelectorAll("bdi").length, 1);
+    assert.match(paragraph.textContent, /١٢/);
+
+    // Undone and applied again
+    corrector.updateConfig({});
+    await settle(page);
+
+    const { mutations } = corrector.getDiagnostics();
+    assert.equal(mutations.records, 0);
+    assert.equal(mutations.batches, 0);
+  });
+});
+
+describe("debug overlay", () => {
+  it("sorts every processed element into a decision category", async () => {
+    const { window, corrector } = await loadHTML(`
+      <p id="applied">فقرة عربية</p>
+      <div id="below">Mostly English text with a single word عربي in it</div>
+      <p id="english">Plain English paragraph</p>
+      <p id="skipped" class="rtl-skip">نص عربي متروك</p>
+      <p id="hidden" style="display: none">نص عربي مخفي</p>
+      <p id="author" dir="ltr">نص عربي باتجاه من الموقع</p>
+    `);
+
+    const categories = Object.fromEntries(
+      corrector
+        .getDecisions()
+        .map((decision) => [
+          decision.element.id,
+          window.DebugOverlay.getCategory(decision),
+        ])
+    );
+    assert.deepEqual(categories, {
+      applied: "applied",
+      below: "below",
+      english: "below",
+      skipped: "skipped",
+      hidden: "hidden",
+      author: "author",
+    });
+  });
+
+  it("reads decisions without walking the page", async () => {
+    const page = await loadHTML(
+      '<p id="kept">فقرة عربية</p><p id="removed">فقرة أخرى</p>'
+    );
+    const { document, corrector } = page;
+    corrector.collectCandidates = () => {
+      throw new Error("getDecisions walked the page");
+    };
+
+    document.getElementById("removed").remove();
+    const ids = corrector.getDecisions().map(({ element }) => element.id);
+    assert.equal(ids.join(), "kept");
+  });
+
+  it("adds its layer to the page and removes it when stopped", async () => {
+    const { window, document, corrector } = await loadHTML(
+      "<p>فقرة عربية</p>"
+    );
+    let stopped = false;
+    const overlay = new window.DebugOverlay(corrector, {
+      onStop: () => {
+        stopped = true;
+      },
+    });
+
+    overlay.start();
+    assert.equal(overlay.isActive, true);
+    assert.equal(overlay.decisions.length, 1);
+    assert.equal(overlay.decisions[0].category, "applied");
+    const layer = document.documentElement.lastElementChild;
+    assert.equal(layer.getAttribute("data-rtl-skip"), "true");
+
+    overlay.stop();
+    assert.equal(overlay.isActive, false);
+    assert.equal(stopped, true);
+    assert.equal(document.querySelectorAll("[data-rtl-skip]").length, 0);
+  });
+});
+
+describe("lazy processing", () => {
+  it("processes only elements near the viewport until they scroll in", async () => {
+    const page = await loadHTML(
+      `
+      <p id="visible" data-in-viewport>فقرة عربية ظاهرة</p>
+      <p id="below">فقرة عربية أسفل الصفحة</p>
+    `,
+      { lazyProcessing: true }
+    );
+    const visible = page.document.getElementById("visible");
+    const below = page.document.getElementById("below");
+
+    assert.equal(getAppliedDirection(visible), "rtl");
+    assert.equal(below.hasAttribute("data-rtl-applied"), false);
+
+    page.window.reveal([below]);
+    await settle(page);
+    assert.equal(getAppliedDirection(below), "rtl");
+  });
+
+  it("leaves off-screen mutations until they are visible", async () => {
+    const page = await loadHTML("<p data-in-viewport>فقرة عربية ظاهرة</p>", {
+      lazyProcessing: true,
+    });
+    const paragraph = page.document.createElement("p");
+    paragraph.textContent = "فقرة أضيفت خارج الشاشة";
+    page.document.body.appendChild(paragraph);
+    await settle(page);
+
+    assert.equal(paragraph.hasAttribute("data-rtl-applied"), false);
+    assert.equal(page.corrector.getDiagnostics().mutations.batches, 1);
+
+    page.window.reveal([paragraph]);
+    await settle(page);
+    assert.equal(getAppliedDirection(paragraph), "rtl");
+  });
+
+  it("stops observing when disabled", async () => {
+    const page = await loadHTML('<p id="below">فقرة عربية أسفل الصفحة</p>', {
+      lazyProcessing: true,
+    });
+    page.corrector.disable();
+
+    const below = page.document.getElementById("below");
+    page.window.reveal([below]);
+    await settle(page);
+    assert.equal(below.hasAttribute("data-rtl-applied"), false);
+  });
+});
+
+describe("mutation queue", () => {
+  const addParagraph = ({ document }, text) => {
+    const paragraph = document.createElement("p");
+    paragraph.textContent = text;
+    document.body.appendChild(paragraph);
+    return paragraph;
+  };
+  const tick = ({ window }) =>
+    new Promise((resolve) => window.setTimeout(resolve, 0));
+
+  it("keeps content added while a batch is running", async () => {
+    const page = await loadHTML("<p>فقرة عربية</p>");
+    const first = addParagraph(page, "رسالة أولى في المحادثة");
+    page.corrector.processElementsBatch([first]);
+    assert.equal(page.corrector.isProcessing, true);
+
+    const second = addParagraph(page, "رسالة ثانية أثناء المعالجة");
+    await settle(page);
+
+    assert.equal(getAppliedDirection(first), "rtl");
+    assert.equal(getAppliedDirection(second), "rtl");
+  });
+
+  it("keeps earlier mutations while waiting for the delay", async () => {
+    const page = await loadHTML("<p>فقرة عربية</p>", { debounceDelay: 30 });
+    const first = addParagraph(page, "رسالة أولى في المحادثة");
+    await tick(page);
+    const second = addParagraph(page, "رسالة ثانية بعدها مباشرة");
+    await settle(page);
+
+    assert.equal(getAppliedDirection(first), "rtl");
+    assert.equal(getAppliedDirection(second), "rtl");
+    assert.equal(page.corrector.getDiagnostics().mutations.batches, 1);
+  });
+
+  it("rescans instead of tracking an overflowing queue", async () => {
+    const page = await loadHTML("<p>فقرة عربية</p>");
+    page.corrector.maxDirtyNodes = 2;
+
+    const paragraphs = [1, 2, 3, 4, 5].map((n) =>
+      addParagraph(page, `رسالة رقم ${n} في المحادثة`)
+    );
+    await settle(page);
+
+    paragraphs.forEach((paragraph) =>
+      assert.equal(getAppliedDirection(paragraph), "rtl")
+    );
+    const queue = page.corrector.getQueueMetrics();
+    assert.equal(queue.length, 0);
+    assert.equal(queue.dropped > 0, true);
+    assert.equal(queue.peakLength >= 2, true);
+  });
+
+  it("keeps attribute changes when the queue overflows", async () => {
+    const page = await loadHTML(`
+      <p>فقرة عربية أولى</p>
+      <p>فقرة عربية ثانية</p>
+      <p>فقرة عربية ثالثة</p>
+      <p>فقرة عربية رابعة</p>
+    `);
+    const { document, corrector } = page;
+    corrector.maxDirtyNodes = 2;
+
+    // The text stays the same, so only the attribute change brings them back
+    const processed = new Set();
+    const processElement = corrector.processElement.bind(corrector);
+    corrector.processElement = (element) => {
+      processed.add(element);
+      return processElement(element);
+    };
+
+    const paragraphs = document.querySelectorAll("p");
+    paragraphs.forEach((paragraph) =>
+      paragraph.setAttribute("contenteditable", "true")
+    );
+    await settle(page);
+
+    assert.equal(corrector.getQueueMetrics().dropped > 0, true);
+    assert.equal(processed.size, paragraphs.length);
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Test harness: runs ArabicRTLCorrector against fixture pages in jsdom
+ *
+ * core/detection.js, debug-overlay.js and content.js are evaluated inside
+ * the jsdom window as the browser runs them as content scripts, minus the
+ * extension adapter; each test creates the corrector with its own options.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(__dirname, "fixtures");
+
+// One script, so the classes share a scope the way content scripts do
+const contentSource = [
+  ...["core/detection.js", "debug-overlay.js", "content.js"].map((file) =>
+    fs.readFileSync(path.join(ROOT, file), "utf8")
+  ),
+  "window.ArabicRTLCorrector = ArabicRTLCorrector;",
+  "window.DebugOverlay = DebugOverlay;",
+].join("\n");
+
+/**
+ * jsdom does no layout; treat every element that isn't display: none as
+ * visible, which is what isElementVisible() checks in the browser
+ * @param {Window} window - jsdom window
+ */
+function stubLayout(window) {
+  const { HTMLElement } = window;
+  const size = function () {
+    return window.getComputedStyle(this).display === "none" ? 0 : 10;
+  };
+
+  Object.defineProperty(HTMLElement.prototype, "offsetParent", {
+    get() {
+      return size.call(this) ? this.parentElement : null;
+    },
+  });
+  Object.defineProperty(HTMLElement.prototype, "offsetWidth", { get: size });
+  Object.defineProperty(HTMLElement.prototype, "offsetHeight", { get: size });
+}
+
+/**
+ * jsdom has no IntersectionObserver either; this one reports elements marked
+ * data-in-viewport as intersecting, and reveal() brings more into view
+ * @param {Window} window - jsdom window
+ */
+function stubIntersectionObserver(window) {
+  const observers = new Set();
+
+  window.IntersectionObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+      this.targets = new Set();
+      observers.add(this);
+    }
+
+    observe(target) {
+      if (this.targets.has(target)) return;
+      this.targets.add(target);
+      window.setTimeout(() => this.notify([target]), 0);
+    }
+
+    unobserve(target) {
+      this.targets.delete(target);
+    }
+
+    disconnect() {
+      this.targets.clear();
+      observers.delete(this);
+    }
+
+    notify(targets) {
+      const entries = targets
+        .filter((target) => this.targets.has(target))
+        .map((target) => ({
+          target,
+          isIntersecting: target.hasAttribute("data-in-viewport"),
+        }));
+      if (entries.length) this.callback(entries, this);
+    }
+  };
+
+  window.reveal = (elements) => {
+    elements.forEach((element) =>
+      element.setAttribute("data-in-viewport", "")
+    );
+    observers.forEach((observer) => observer.notify(elements));
+  };
+}
+
+/**
+ * Load a fixture page and run a corrector on it
+ * @param {string} name - Fixture file name without .html
+ * @param {Object} [options] - ArabicRTLCorrector options
+ * @returns {Promise<{window: Window, document: Document, corrector: Object}>}
+ */
+async function loadFixture(name, options = {}) {
+  const html = fs.readFileSync(path.join(FIXTURES, `${name}.html`), "utf8");
+  return loadHTML(html, options);
+}
+
+/**
+ * Run a corrector on an HTML string
+ * @param {string} html - Page markup
+ * @param {Object} [options] - ArabicRTLCorrector options
+ * @returns {Promise<{window: Window, document: Document, corrector: Object}>}
+ */
+async function loadHTML(html, options = {}) {
+  const dom = new JSDOM(html, {
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    url: "https://example.com/",
+  });
+  const { window } = dom;
+  stubLayout(window);
+  if (options.lazyProcessing) stubIntersectionObserver(window);
+
+  // Keep test output readable
+  window.console.log = () => {};
+
+  window.eval(contentSource);
+
+  const corrector = new window.ArabicRTLCorrector({
+    debounceDelay: 0,
+    enableVisualFeedback: false,
+    ...options,
+  });
+
+  const page = { window, document: window.document, corrector };
+  await settle(page);
+  return page;
+}
+
+/**
+ * Wait until the corrector has processed every pending batch and mutation
+ * @param {{window: Window, corrector: Object}} page - Result of loadFixture()
+ * @returns {Promise}
+ */
+async function settle({ window, corrector }) {
+  const frame = () =>
+    new Promise((resolve) => window.requestAnimationFrame(() => resolve()));
+
+  // Mutation records arrive as microtasks and the queue drains on a timer
+  const busy = () =>
+    corrector.isProcessing ||
+    corrector.drainTimer !== null ||
+    corrector.getQueueLength() > 0;
+
+  await new Promise((resolve) => window.setTimeout(resolve, 0));
+  for (let i = 0; i < 100; i++) {
+    await frame();
+    if (!busy()) {
+      await new Promise((resolve) => window.setTimeout(resolve, 0));
+      await frame();
+      if (!busy()) return;
+    }
+  }
+  throw new Error("Corrector did not settle");
+}
+
+/**
+ * Compare every element annotated with data-expect against the result
+ *
+ *   data-expect="rtl"        marked RTL by the corrector, through its dir
+ *                            attribute or a forced inline direction
+ *   data-expect="untouched"  no data-rtl-applied, dir or direction added
+ *
+ * @param {Document} document - Processed fixture document
+ * @returns {Array<string>} One message per mismatch
+ */
+function checkExpectations(document) {
+  const failures = [];
+
+  document.querySelectorAll("[data-expect]").forEach((element) => {
+    const expected = element.getAttribute("data-expect");
+    const label = describe(element);
+    const applied = element.getAttribute("data-rtl-applied") === "true";
+    const direction = getAppliedDirection(element);
+
+    if (expected === "rtl") {
+      if (!applied) failures.push(`${label}: expected data-rtl-applied`);
+      if (direction !== "rtl") {
+        failures.push(`${label}: expected direction rtl, got "${direction}"`);
+      }
+    } else if (expected === "untouched") {
+      if (applied) failures.push(`${label}: expected no data-rtl-applied`);
+      if (direction) {
+        failures.push(`${label}: expected no direction, got "${direction}"`);
+      }
+    } else {
+      failures.push(`${label}: unknown expectation "${expected}"`);
+    }
+  });
+
+  return failures;
+}
+
+/**
+ * Direction the corrector set on an element, if any
+ * @param {Element} element
+ * @returns {string} "rtl", "ltr" or ""
+ */
+function getAppliedDirection(element) {
+  if (element.style.direction) return element.style.direction;
+  if (element.hasAttribute("data-rtl-dir")) return element.getAttribute("dir");
+  return "";
+}
+
+/**
+ * Short description of an element for failure messages
+ * @param {Element} element
+ * @returns {string}
+ */
+function describe(element) {
+  const id = element.id ? `#${element.id}` : "";
+  const text = (element.textContent || element.value || "").trim();
+  return `<${element.tagName.toLowerCase()}${id}> "${text.slice(0, 30)}"`;
+}
+
+module.exports = {
+  loadFixture,
+  loadHTML,
+  settle,
+  checkExpectations,
+  getAppliedDirection,
+};